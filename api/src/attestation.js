@@ -0,0 +1,84 @@
+import { TypedDataEncoder, Wallet } from 'ethers';
+
+// Must match Zillopoly.LISTING_ATTESTATION_TYPEHASH
+const LISTING_ATTESTATION_TYPES = {
+  ListingAttestation: [
+    { name: 'gameId', type: 'uint256' },
+    { name: 'listingId', type: 'bytes32' },
+    { name: 'displayedPrice', type: 'uint256' },
+    { name: 'priceCommitment', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' }
+  ]
+};
+
+/**
+ * Signs EIP-712 listing attestations that Zillopoly.initializeGameWithAttestation verifies on-chain
+ * With a registered signer, whoever relays the attestation (the CRE workflow) cannot change the listing it initializes
+ */
+export class ListingAttester {
+  /**
+   * @param {Object} options
+   * @param {string} options.privateKey - Key of an address registered with Zillopoly.setAttestationSigner
+   * @param {number|string} options.chainId - Chain Zillopoly is deployed on
+   * @param {string} options.address - Zillopoly contract address
+   * @param {number} [options.ttlSeconds] - How long an attestation stays valid
+   */
+  constructor({ privateKey, chainId, address, ttlSeconds = 3600 }) {
+    this.wallet = new Wallet(privateKey);
+    this.ttlSeconds = ttlSeconds;
+    this.domain = {
+      name: 'Zillopoly',
+      version: '1',
+      chainId: BigInt(chainId),
+      verifyingContract: address
+    };
+  }
+
+  /**
+   * @returns {string} Address attestations are signed by
+   */
+  get address() {
+    return this.wallet.address;
+  }
+
+  /**
+   * Signs the listing a game is to be initialized with
+   * @param {Object} listing
+   * @param {string|number} listing.gameId
+   * @param {string} listing.listingId - bytes32
+   * @param {number} listing.displayedPrice
+   * @param {string} listing.priceCommitment - bytes32
+   * @returns {{expiry: number, signature: string}}
+   */
+  attest({ gameId, listingId, displayedPrice, priceCommitment }) {
+    const expiry = Math.floor(Date.now() / 1000) + this.ttlSeconds;
+    const digest = TypedDataEncoder.hash(this.domain, LISTING_ATTESTATION_TYPES, {
+      gameId,
+      listingId,
+      displayedPrice,
+      priceCommitment,
+      expiry
+    });
+
+    return { expiry, signature: this.wallet.signingKey.sign(digest).serialized };
+  }
+}
+
+/**
+ * Creates the listing attester from the environment, or null when ORACLE_SIGNER_KEY / CHAIN_ID / ZILLOPOLY_ADDRESS are unset
+ * - ATTESTATION_TTL_SECONDS: how long an attestation stays valid (default 3600)
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {ListingAttester|null}
+ */
+export function createListingAttester(env = process.env) {
+  if (!env.ORACLE_SIGNER_KEY || !env.CHAIN_ID || !env.ZILLOPOLY_ADDRESS) {
+    return null;
+  }
+
+  return new ListingAttester({
+    privateKey: env.ORACLE_SIGNER_KEY,
+    chainId: env.CHAIN_ID,
+    address: env.ZILLOPOLY_ADDRESS,
+    ttlSeconds: Number(env.ATTESTATION_TTL_SECONDS ?? 3600)
+  });
+}
@@ -1,157 +1,450 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import { randomBytes } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { isAddress, solidityPackedKeccak256 } from 'ethers';
+import { createListingAttester } from './attestation.js';
+import { createGameIndexer } from './indexer.js';
+import { buildLeaderboard, LEADERBOARD_SORTS, LEADERBOARD_WINDOWS } from './leaderboard.js';
+import { ListingStore } from './listingStore.js';
+import { createOracleAuth } from './oracleAuth.js';
+import { HOME_TYPES, loadMarkets, marketLocation, marketSearch, weightedShuffle } from './markets.js';
+import { derivePriceMultiplier, loadMultiplierConfig } from './priceMultiplier.js';
+import { createListingProvider } from './providers/index.js';
+import { createZillopolyContract, formatGame } from './zillopolyContract.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Every listing served to a game, so settlement can look up the hidden price
+const listingStore = new ListingStore(
+  process.env.LISTING_STORE_PATH || fileURLToPath(new URL('../data/listings.json', import.meta.url))
+);
+
+// Source of listings, selected by LISTING_PROVIDER (rapidapi or fixture)
+const listingProvider = createListingProvider();
+
+// Markets listings are drawn from (city, home types, price band, selection weight)
+const markets = loadMarkets(
+  process.env.MARKETS_CONFIG_PATH || fileURLToPath(new URL('../config/markets.json', import.meta.url))
+);
+
+// Secret and range for the displayed-price multiplier
+const multiplierConfig = loadMultiplierConfig();
+
+// Read-only Zillopoly contract for live game state (null unless RPC_URL and ZILLOPOLY_ADDRESS are set)
+const zillopoly = createZillopolyContract();
+
+// Index of on-chain games for the leaderboard and player history (null unless RPC_URL and ZILLOPOLY_ADDRESS are set)
+const gameIndexer = createGameIndexer();
+const INDEXER_POLL_INTERVAL_MS = Number(process.env.INDEXER_POLL_INTERVAL_MS ?? 15000);
+
+// Signs the listings games are initialized with (null unless ORACLE_SIGNER_KEY, CHAIN_ID and ZILLOPOLY_ADDRESS are set)
+const listingAttester = createListingAttester();
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Array of major US cities for rotation
-const MAJOR_CITIES = [
-  'Los Angeles, CA',
-  'New York, NY',
-  'Chicago, IL',
-  'Houston, TX',
-  'Phoenix, AZ',
-  'Philadelphia, PA',
-  'San Antonio, TX',
-  'San Diego, CA',
-  'Dallas, TX',
-  'San Jose, CA',
-  'Austin, TX',
-  'Jacksonville, FL',
-  'Fort Worth, TX',
-  'Columbus, OH',
-  'Charlotte, NC',
-  'San Francisco, CA',
-  'Indianapolis, IN',
-  'Seattle, WA',
-  'Denver, CO',
-  'Boston, MA',
-  'Miami, FL',
-  'Atlanta, GA',
-  'Detroit, MI',
-  'Portland, OR',
-  'Las Vegas, NV'
-];
-
-/**
- * Generates a random multiplier between 85 and 115 (representing 85% to 115% of actual price)
- * Uses Math.js API for random number generation
- * @returns {Promise<number>} Random multiplier (85 to 115)
- */
-async function getRandomPriceMultiplier() {
-  try {
-    // Get random number between 85 and 115 (for ±15% adjustment)
-    const response = await fetch('https://api.mathjs.org/v4/?expr=randomInt(85,116)');
+// Guards the /api/oracle routes, which serve actual prices and salts, with the shared ORACLE_API_KEY
+const requireOracle = createOracleAuth(process.env.ORACLE_API_KEY);
 
-    if (!response.ok) {
-      throw new Error('Math.js API failed');
-    }
+// Maximum listings served by a single /api/oracle/listings/batch request
+const MAX_BATCH_LISTINGS = 50;
 
-    const randomValue = await response.text();
-    const multiplier = parseInt(randomValue.trim());
+// Maximum entries served by a single /api/leaderboard or /api/players/:address/history request
+const MAX_PAGE_SIZE = 100;
 
-    return multiplier;
-  } catch (error) {
-    console.error('Error getting random multiplier from Math.js API:', error);
-    // Fallback to Math.random if API fails
-    return Math.floor(Math.random() * 31) + 85; // 85 to 115
+
+/**
+ * Converts a Zillow property ID to the bytes32 listingId stored on-chain
+ * @param {number|string} zpid - Zillow Property ID
+ * @returns {string} 0x-prefixed bytes32 hex string
+ */
+function zpidToListingId(zpid) {
+  return `0x${zpid.toString().padStart(64, '0')}`;
+}
+
+/**
+ * Generates the salt that hides a game's actual price in its on-chain commitment
+ * Fresh for every game: settleBet publishes the salt, so a salt shared by two games on the
+ * same listing would let anyone open the second game's commitment by trying candidate prices.
+ * Settlement reads the salt back from the listing store.
+ * @returns {string} 0x-prefixed bytes32 salt
+ */
+function generatePriceSalt() {
+  return `0x${randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Computes the price commitment checked by Zillopoly.settleBet
+ * Must match Zillopoly.computePriceCommitment: keccak256(abi.encodePacked(actualPrice, salt))
+ * @param {number} actualPrice - The actual listing price
+ * @param {string} salt - bytes32 salt from generatePriceSalt
+ * @returns {string} 0x-prefixed bytes32 commitment
+ */
+function computePriceCommitment(actualPrice, salt) {
+  return solidityPackedKeccak256(['uint256', 'bytes32'], [actualPrice, salt]);
+}
+
+/**
+ * Market a listing is labelled with
+ * A listing the provider returns for any location (e.g. a fixture without one) is in no known market
+ * @param {Object} listing - Listing from the listing provider
+ * @param {Object} market - Market the listing was found in
+ * @returns {{ market: string|null, city: string|null }}
+ */
+function listingMarket(listing, market) {
+  if (listing.anyLocation) {
+    return { market: null, city: null };
   }
+
+  return { market: market.id, city: marketLocation(market) };
 }
 
 /**
- * Fetches a random real estate listing from Zillow API
- * Randomly selects a city from MAJOR_CITIES array
- * @returns {Promise<Object>} Listing data from Zillow
+ * Prices a listing for a game and formats it for the contract
+ * The served listing, including its hidden actual price, is persisted in the listing store
+ * When the game is known and an attester is configured, the contract data carries a signed attestation
+ * @param {Object} listing - Listing from the listing provider
+ * @param {Object} market - Market the listing was found in
+ * @param {string|null} gameId - On-chain game ID the listing is for, if known
+ * @returns {Object} Listing data with contract-ready fields
  */
-async function fetchRandomListing() {
-  // Randomly select a city
-  const randomCity = MAJOR_CITIES[Math.floor(Math.random() * MAJOR_CITIES.length)];
+function buildGameListing(listing, market, gameId) {
+  // Get actual price
+  const actualPrice = listing.price || 0;
+
+  const listingId = zpidToListingId(listing.zpid);
+
+  // Generate displayed price from a multiplier seeded by the gameId (never 100)
+  const { multiplier, seed, seedInput } = derivePriceMultiplier(gameId ?? listingId, multiplierConfig);
+  const displayedPrice = Math.round(actualPrice * (multiplier / 100));
+
+  // Commit to the actual price so it cannot be changed after the player guesses
+  const salt = generatePriceSalt();
+  const priceCommitment = computePriceCommitment(actualPrice, salt);
 
-  console.log(`Fetching listing for: ${randomCity}`);
+  const record = listingStore.save({
+    listingId,
+    gameId,
+    zpid: listing.zpid,
+    ...listingMarket(listing, market),
+    address: listing.address,
+    imgSrc: listing.imgSrc,
+    bedrooms: listing.bedrooms,
+    bathrooms: listing.bathrooms,
+    livingArea: listing.livingArea,
+    homeType: listing.homeType,
+    latitude: listing.latitude,
+    longitude: listing.longitude,
+    actualPrice,
+    displayedPrice,
+    multiplier,
+    multiplierSeed: seed,
+    multiplierSeedInput: seedInput,
+    multiplierSecretCommitment: multiplierConfig.secretCommitment,
+    salt,
+    priceCommitment
+  });
 
-  const url = new URL('https://zillow-com1.p.rapidapi.com/propertyExtendedSearch');
-  url.searchParams.append('location', randomCity);
-  url.searchParams.append('status_type', 'ForSale');
-  url.searchParams.append('home_type', 'Houses');
+  // Never log the actual price or multiplier: logs are not as well guarded as the listing store
+  console.log(`Listing ${listingId} for game ${gameId ?? '-'}: displayed price $${displayedPrice.toLocaleString()}`);
 
-  const options = {
-    method: 'GET',
-    headers: {
-      'x-rapidapi-host': process.env.RAPIDAPI_HOST || 'zillow-com1.p.rapidapi.com',
-      'x-rapidapi-key': process.env.RAPIDAPI_KEY
+  return formatGameListing(record);
+}
+
+/**
+ * Formats a stored listing record for the contract
+ * Used both for newly built listings and to serve a game its existing listing again
+ * @param {Object} record - Record from the listing store
+ * @returns {Object} Listing data with contract-ready fields
+ */
+function formatGameListing(record) {
+  const { gameId, listingId, displayedPrice, priceCommitment, actualPrice } = record;
+
+  const attestation = gameId !== null && listingAttester
+    ? listingAttester.attest({ gameId, listingId, displayedPrice, priceCommitment })
+    : undefined;
+
+  return {
+    success: true,
+    market: record.market,
+    city: record.city,
+    gameId,
+    listing: {
+      zpid: record.zpid, // Zillow Property ID
+      address: record.address,
+      price: actualPrice, // The ACTUAL price (hidden from player initially)
+      imgSrc: record.imgSrc,
+      bedrooms: record.bedrooms,
+      bathrooms: record.bathrooms,
+      livingArea: record.livingArea,
+      homeType: record.homeType,
+      latitude: record.latitude,
+      longitude: record.longitude
+    },
+    // Contract-ready format
+    contractData: {
+      listingId: listingId, // zpid converted to bytes32
+      displayedPrice: displayedPrice, // The DISPLAYED price (shown to player, multiplier % of actual)
+      priceCommitment: priceCommitment, // Passed to initializeGame
+      salt: record.salt, // Revealed with actualPrice in settleBet
+      actualPrice: actualPrice, // Include actual price for reference
+      attestation // { expiry, signature } for initializeGameWithAttestation, if signed
+    },
+    priceInfo: {
+      actual: actualPrice,
+      displayed: displayedPrice,
+      multiplier: record.multiplier,
+      multiplierSeed: record.multiplierSeed,
+      adjustmentPercent: record.multiplier - 100
     }
   };
+}
 
-  try {
-    const response = await fetch(url.toString(), options);
+/**
+ * Returns the listing already served to a game, so retried oracle requests get the same
+ * listing and salt instead of a new commitment that would no longer match the one on-chain
+ * @param {string|null} gameId
+ * @returns {Object|null} Listing data in the same format as buildGameListing, or null if the game has none yet
+ */
+function servedGameListing(gameId) {
+  const record = gameId !== null ? listingStore.getByGameId(gameId) : undefined;
+  if (!record) {
+    return null;
+  }
+
+  console.log(`Listing ${record.listingId} for game ${gameId}: already served, returning it again`);
+  return formatGameListing(record);
+}
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} items
+ * @returns {Array}
+ */
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Searches the listing provider for one market, keeping only listings inside the price range
+ * @param {Object} market - Market from the catalog
+ * @param {Object} filters - Listing filters (market, homeType, minPrice, maxPrice)
+ * @returns {Promise<Array<Object>>} Matching listings (empty if the market cannot satisfy the filters)
+ */
+async function searchMarket(market, filters) {
+  const search = marketSearch(market, filters);
+  if (!search) {
+    return [];
+  }
+
+  console.log(`Fetching ${search.homeType} listings for: ${search.location}`);
+  const listings = await listingProvider.searchListings(search);
+
+  return listings.filter((listing) =>
+    listing.price
+    && (search.minPrice === undefined || listing.price >= search.minPrice)
+    && (search.maxPrice === undefined || listing.price <= search.maxPrice)
+  );
+}
+
+/**
+ * Returns the markets that can satisfy the filters, in weighted random order
+ * @param {Object} filters - Listing filters (market, homeType, minPrice, maxPrice)
+ * @returns {Array<Object>}
+ */
+function eligibleMarkets(filters) {
+  const eligible = markets.filter((market) => marketSearch(market, filters) !== null);
 
-    if (!response.ok) {
-      throw new Error(`RapidAPI responded with status: ${response.status}`);
+  if (eligible.length === 0) {
+    throw new Error('No market matches the requested filters');
+  }
+
+  return weightedShuffle(eligible);
+}
+
+/**
+ * Picks a random listing from the configured listing provider
+ * Picks a market from the catalog by weight, among markets matching the filters
+ * @param {Object} filters - Listing filters (market, homeType, minPrice, maxPrice)
+ * @returns {Promise<{ listing: Object, market: Object }>}
+ */
+async function pickRandomListing(filters) {
+  // Randomly select a market by weight
+  const [market] = eligibleMarkets(filters);
+  const listings = await searchMarket(market, filters);
+
+  // Extract a random listing from the results
+  if (listings.length === 0) {
+    throw new Error('No listings found in the response');
+  }
+
+  return { listing: listings[Math.floor(Math.random() * listings.length)], market };
+}
+
+/**
+ * Fetches a random real estate listing priced for a game
+ * @param {string|null} gameId - On-chain game ID the listing is for, if known
+ * @param {Object} filters - Listing filters (market, homeType, minPrice, maxPrice)
+ * @returns {Promise<Object>} Listing data from Zillow, including the actual price
+ */
+async function fetchRandomListing(gameId = null, filters = {}) {
+  try {
+    const served = servedGameListing(gameId);
+    if (served) {
+      return served;
     }
 
-    const data = await response.json();
+    const { listing, market } = await pickRandomListing(filters);
+    return buildGameListing(listing, market, gameId);
+  } catch (error) {
+    console.error('Error fetching listing:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Fetches a random listing for public display, without any price
+ * Not even a displayed price is included: a second displayed price for the same listing,
+ * with its own multiplier, would narrow down the actual price of a game using it.
+ * Nothing is stored, so public requests can never replace a game's listing record.
+ * @param {Object} filters - Listing filters (market, homeType, minPrice, maxPrice)
+ * @returns {Promise<Object>} Public listing data
+ */
+async function fetchPublicListing(filters = {}) {
+  try {
+    const { listing, market } = await pickRandomListing(filters);
 
-    // Extract a random listing from the results
-    if (data.props && data.props.length > 0) {
-      const randomListing = data.props[Math.floor(Math.random() * data.props.length)];
+    return {
+      success: true,
+      ...listingMarket(listing, market),
+      listing: {
+        zpid: listing.zpid,
+        address: listing.address,
+        imgSrc: listing.imgSrc,
+        bedrooms: listing.bedrooms,
+        bathrooms: listing.bathrooms,
+        livingArea: listing.livingArea,
+        homeType: listing.homeType,
+        latitude: listing.latitude,
+        longitude: listing.longitude
+      }
+    };
+  } catch (error) {
+    console.error('Error fetching public listing:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
 
-      // Get actual price
-      const actualPrice = randomListing.price || 0;
+/**
+ * Fetches a batch of distinct listings, one per game
+ * Searches as few markets as possible: each search result is drained before moving on
+ * to the next market, and no zpid is served twice within a batch.
+ * Games that were already served a listing get the same one again.
+ * @param {number} count - Number of listings to return
+ * @param {Array<string>|null} gameIds - On-chain game IDs, one per listing, if known
+ * @param {Object} filters - Listing filters (market, homeType, minPrice, maxPrice)
+ * @returns {Promise<Object>} Batch of listings in the same format as fetchRandomListing
+ */
+async function fetchListingBatch(count, gameIds = null, filters = {}) {
+  const served = (gameIds || Array(count).fill(null)).map(servedGameListing);
+  const needed = served.filter((listing) => listing === null).length;
+  const picked = [];
+  const seenZpids = new Set(served.filter(Boolean).map((listing) => listing.listing.zpid.toString()));
+  // Markets searched, whether the provider answered from its cache or upstream
+  let marketSearches = 0;
 
-      // Generate displayed price with ±15% adjustment (multiplier is 85-115)
-      // Ensure displayed price is never exactly the same as actual price
-      let multiplier = await getRandomPriceMultiplier();
-      while (multiplier === 100) {
-        multiplier = await getRandomPriceMultiplier();
+  try {
+    for (const market of eligibleMarkets(filters)) {
+      if (picked.length >= needed) {
+        break;
       }
-      const displayedPrice = Math.round(actualPrice * (multiplier / 100));
-      const adjustmentPercent = multiplier - 100;
-
-      console.log(`Actual Price: $${actualPrice.toLocaleString()}`);
-      console.log(`Multiplier: ${multiplier}% (${adjustmentPercent > 0 ? '+' : ''}${adjustmentPercent}%)`);
-      console.log(`Displayed Price: $${displayedPrice.toLocaleString()}`);
-
-      // Format the listing data for our contract
-      return {
-        success: true,
-        city: randomCity,
-        listing: {
-          zpid: randomListing.zpid, // Zillow Property ID
-          address: randomListing.address,
-          price: actualPrice, // The ACTUAL price (hidden from player initially)
-          imgSrc: randomListing.imgSrc,
-          bedrooms: randomListing.bedrooms,
-          bathrooms: randomListing.bathrooms,
-          livingArea: randomListing.livingArea,
-          homeType: randomListing.homeType,
-          latitude: randomListing.latitude,
-          longitude: randomListing.longitude
-        },
-        // Contract-ready format
-        contractData: {
-          listingId: `0x${randomListing.zpid.toString().padStart(64, '0')}`, // Convert zpid to bytes32
-          displayedPrice: displayedPrice, // The DISPLAYED price (shown to player, ±15% of actual)
-          actualPrice: actualPrice // Include actual price for reference
-        },
-        priceInfo: {
-          actual: actualPrice,
-          displayed: displayedPrice,
-          multiplier: multiplier,
-          adjustmentPercent: adjustmentPercent
+
+      const listings = await searchMarket(market, filters);
+      marketSearches++;
+
+      for (const listing of shuffle(listings)) {
+        if (picked.length >= needed) {
+          break;
         }
-      };
-    } else {
-      throw new Error('No listings found in the response');
+        if (seenZpids.has(listing.zpid.toString())) {
+          continue;
+        }
+
+        seenZpids.add(listing.zpid.toString());
+        picked.push({ listing, market });
+      }
+    }
+
+    if (picked.length < needed) {
+      throw new Error(`Only found ${picked.length} distinct listings, ${needed} requested`);
     }
+
+    return {
+      success: true,
+      count,
+      marketSearches,
+      listings: served.map((listing, i) => {
+        if (listing) {
+          return listing;
+        }
+        const { listing: next, market } = picked.shift();
+        return buildGameListing(next, market, gameIds ? gameIds[i] : null);
+      })
+    };
   } catch (error) {
-    console.error('Error fetching listing:', error);
+    console.error('Error fetching listing batch:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Fetches a single property from the configured listing provider by its zpid
+ * @param {string} zpid - Zillow Property ID
+ * @returns {Promise<Object>} Property data with its current price
+ */
+async function fetchListingByZpid(zpid) {
+  try {
+    const property = await listingProvider.getListing(zpid);
+
+    if (!property || !property.price) {
+      throw new Error(`No price found for zpid ${zpid}`);
+    }
+
+    return {
+      success: true,
+      listing: {
+        zpid: property.zpid,
+        address: property.address,
+        price: property.price,
+        imgSrc: property.imgSrc,
+        bedrooms: property.bedrooms,
+        bathrooms: property.bathrooms,
+        livingArea: property.livingArea,
+        homeType: property.homeType
+      }
+    };
+  } catch (error) {
+    console.error(`Error fetching property ${zpid}:`, error);
     return {
       success: false,
       error: error.message
@@ -159,10 +452,105 @@ async function fetchRandomListing() {
   }
 }
 
+/**
+ * Parses listing filters from query params or a request body
+ * @param {Object} source - Object with optional market, homeType, minPrice and maxPrice
+ * @returns {{ filters?: Object, error?: string }} Parsed filters, or a validation error
+ */
+function parseListingFilters(source) {
+  const filters = {};
+
+  if (source.market !== undefined) {
+    if (!markets.some((market) => market.id === source.market)) {
+      return { error: `Unknown market "${source.market}"` };
+    }
+    filters.market = source.market;
+  }
+
+  if (source.homeType !== undefined) {
+    if (!HOME_TYPES.includes(source.homeType)) {
+      return { error: `homeType must be one of ${HOME_TYPES.join(', ')}` };
+    }
+    filters.homeType = source.homeType;
+  }
+
+  for (const key of ['minPrice', 'maxPrice']) {
+    if (source[key] !== undefined) {
+      const value = Number(source[key]);
+      if (!Number.isInteger(value) || value < 0) {
+        return { error: `${key} must be a non-negative integer` };
+      }
+      filters[key] = value;
+    }
+  }
+
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+    return { error: 'minPrice must be <= maxPrice' };
+  }
+
+  return { filters };
+}
+
+/**
+ * Wraps an async route handler so a rejection reaches the error handler below the routes
+ * Express 4 ignores rejected handler promises, which would otherwise crash the process
+ * @param {import('express').RequestHandler} handler
+ * @returns {import('express').RequestHandler}
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/**
+ * Whether a JSON value is a game ID: a non-negative integer, as a number or a decimal string
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isGameIdParam(value) {
+  return (typeof value === 'string' || Number.isInteger(value)) && /^\d+$/.test(String(value));
+}
+
+/**
+ * Parses an optional non-negative integer query parameter
+ * @param {string|undefined} value
+ * @param {number} defaultValue
+ * @returns {number|null} The value, or null if it is not a non-negative integer
+ */
+function parseIntParam(value, defaultValue) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+// Response for indexer-backed routes when RPC_URL / ZILLOPOLY_ADDRESS are not set
+function indexerUnavailable(res) {
+  return res.status(503).json({
+    error: 'Indexer not configured',
+    details: 'Set RPC_URL and ZILLOPOLY_ADDRESS to index on-chain games'
+  });
+}
+
 // API Routes
-app.get('/api/random-listing', async (req, res) => {
+app.get('/api/random-listing', asyncRoute(async (req, res) => {
+  if (req.query.gameId !== undefined) {
+    return res.status(400).json({
+      error: 'Invalid gameId',
+      details: 'Listings for games are only served by /api/oracle/random-listing'
+    });
+  }
+
+  const { filters, error } = parseListingFilters(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid filters',
+      details: error
+    });
+  }
+
   try {
-    const listing = await fetchRandomListing();
+    const listing = await fetchPublicListing(filters);
 
     if (!listing.success) {
       return res.status(500).json({
@@ -179,16 +567,388 @@ app.get('/api/random-listing', async (req, res) => {
       details: error.message
     });
   }
+}));
+
+// Published up front so settled games' multiplier seeds can be audited (see loadMultiplierConfig)
+app.get('/api/multiplier', (req, res) => {
+  res.json({
+    success: true,
+    min: multiplierConfig.min,
+    max: multiplierConfig.max,
+    secretCommitment: multiplierConfig.secretCommitment
+  });
+});
+
+app.get('/api/markets', (req, res) => {
+  res.json({ markets, homeTypes: HOME_TYPES });
+});
+
+// Oracle routes: these serve actual prices and salts, so they require ORACLE_API_KEY
+app.get('/api/oracle/random-listing', requireOracle, asyncRoute(async (req, res) => {
+  const { gameId } = req.query;
+
+  if (gameId !== undefined && !/^\d+$/.test(gameId)) {
+    return res.status(400).json({
+      error: 'Invalid gameId',
+      details: 'gameId must be numeric'
+    });
+  }
+
+  const { filters, error } = parseListingFilters(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid filters',
+      details: error
+    });
+  }
+
+  try {
+    const listing = await fetchRandomListing(gameId ?? null, filters);
+
+    if (!listing.success) {
+      return res.status(500).json({
+        error: 'Failed to fetch listing',
+        details: listing.error
+      });
+    }
+
+    res.json(listing);
+  } catch (error) {
+    console.error('Error in /api/oracle/random-listing:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}));
+
+app.get('/api/oracle/property/:zpid', requireOracle, asyncRoute(async (req, res) => {
+  const { zpid } = req.params;
+
+  if (!/^\d+$/.test(zpid)) {
+    return res.status(400).json({
+      error: 'Invalid zpid',
+      details: 'zpid must be numeric'
+    });
+  }
+
+  try {
+    const property = await fetchListingByZpid(zpid);
+
+    if (!property.success) {
+      return res.status(502).json({
+        error: 'Failed to fetch property',
+        details: property.error
+      });
+    }
+
+    res.json(property);
+  } catch (error) {
+    console.error('Error in /api/oracle/property/:zpid:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}));
+
+app.post('/api/oracle/listings/batch', requireOracle, asyncRoute(async (req, res) => {
+  const { count, gameIds } = req.body ?? {};
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_LISTINGS) {
+    return res.status(400).json({
+      error: 'Invalid count',
+      details: `count must be an integer between 1 and ${MAX_BATCH_LISTINGS}`
+    });
+  }
+
+  if (gameIds !== undefined) {
+    const validIds = Array.isArray(gameIds)
+      && gameIds.length === count
+      && gameIds.every(isGameIdParam);
+
+    if (!validIds) {
+      return res.status(400).json({
+        error: 'Invalid gameIds',
+        details: 'gameIds must be an array of count numeric game IDs'
+      });
+    }
+  }
+
+  const { filters, error } = parseListingFilters(req.body ?? {});
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid filters',
+      details: error
+    });
+  }
+
+  try {
+    const batch = await fetchListingBatch(count, gameIds ? gameIds.map(String) : null, filters);
+
+    if (!batch.success) {
+      return res.status(500).json({
+        error: 'Failed to fetch listing batch',
+        details: batch.error
+      });
+    }
+
+    res.json(batch);
+  } catch (error) {
+    console.error('Error in /api/oracle/listings/batch:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}));
+
+app.get('/api/oracle/listings/:listingId', requireOracle, (req, res) => {
+  const { listingId } = req.params;
+  const { gameId } = req.query;
+
+  if (!/^0x[0-9a-fA-F]{64}$/.test(listingId)) {
+    return res.status(400).json({
+      error: 'Invalid listingId',
+      details: 'listingId must be a 0x-prefixed bytes32 hex string'
+    });
+  }
+
+  // Prefer the exact record served to the game, in case the listing was reused
+  const record = gameId !== undefined
+    ? listingStore.getByGameId(gameId)
+    : listingStore.getByListingId(listingId);
+
+  if (!record || record.listingId !== listingId.toLowerCase()) {
+    return res.status(404).json({
+      error: 'Listing not found',
+      details: gameId !== undefined
+        ? `No listing ${listingId} stored for game ${gameId}`
+        : `No listing ${listingId} stored`
+    });
+  }
+
+  res.json({
+    success: true,
+    listing: record,
+    // Contract-ready format for settleBet
+    contractData: {
+      listingId: record.listingId,
+      actualPrice: record.actualPrice,
+      salt: record.salt,
+      priceCommitment: record.priceCommitment
+    }
+  });
+});
+
+app.get('/api/games/:gameId', asyncRoute(async (req, res) => {
+  const { gameId } = req.params;
+
+  if (!zillopoly) {
+    return res.status(503).json({
+      error: 'Chain access not configured',
+      details: 'Set RPC_URL and ZILLOPOLY_ADDRESS to read on-chain games'
+    });
+  }
+
+  if (!/^\d+$/.test(gameId) || BigInt(gameId) === 0n) {
+    return res.status(400).json({
+      error: 'Invalid gameId',
+      details: 'gameId must be a positive integer'
+    });
+  }
+
+  let game;
+  try {
+    game = formatGame(await zillopoly.getGame(gameId));
+    // The stored deadline does not include time the contract spent paused since initialization
+    game.guessDeadline = Number(await zillopoly.getGuessDeadline(gameId));
+  } catch (error) {
+    if (error.reason === 'Invalid game ID') {
+      return res.status(404).json({
+        error: 'Game not found',
+        details: `No game ${gameId} on-chain`
+      });
+    }
+    console.error('Error in /api/games/:gameId:', error);
+    return res.status(502).json({
+      error: 'Failed to read game',
+      details: error.message
+    });
+  }
+
+  const settled = game.stage === 'Settled';
+  if (!settled) {
+    delete game.actualPrice;
+  }
+
+  // Games the oracle never initialized have no listing
+  if (BigInt(game.listingId) === 0n) {
+    return res.json({ success: true, game, listing: null });
+  }
+
+  const record = listingStore.getByGameId(gameId);
+
+  if (!record || record.listingId !== game.listingId.toLowerCase()) {
+    return res.status(404).json({
+      error: 'Listing not found',
+      details: `No listing ${game.listingId} stored for game ${gameId}`
+    });
+  }
+
+  res.json({
+    success: true,
+    game,
+    listing: {
+      zpid: record.zpid,
+      address: record.address,
+      city: record.city,
+      market: record.market,
+      imgSrc: record.imgSrc,
+      bedrooms: record.bedrooms,
+      bathrooms: record.bathrooms,
+      livingArea: record.livingArea,
+      homeType: record.homeType,
+      latitude: record.latitude,
+      longitude: record.longitude,
+      displayedPrice: record.displayedPrice,
+      // The real price and how the displayed price was derived from it are only revealed once the price is public on-chain
+      ...(settled && {
+        actualPrice: record.actualPrice,
+        multiplier: record.multiplier,
+        multiplierSeed: record.multiplierSeed,
+        multiplierSeedInput: record.multiplierSeedInput,
+        multiplierSecretCommitment: record.multiplierSecretCommitment
+      })
+    }
+  });
+}));
+
+app.get('/api/leaderboard', (req, res) => {
+  if (!gameIndexer) {
+    return indexerUnavailable(res);
+  }
+
+  const { window = 'all', sortBy = 'netWinnings' } = req.query;
+  const limit = parseIntParam(req.query.limit, 25);
+  const minGames = parseIntParam(req.query.minGames, 1);
+
+  if (!Object.hasOwn(LEADERBOARD_WINDOWS, window)) {
+    return res.status(400).json({
+      error: 'Invalid window',
+      details: `window must be one of ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}`
+    });
+  }
+  if (!LEADERBOARD_SORTS.includes(sortBy)) {
+    return res.status(400).json({
+      error: 'Invalid sortBy',
+      details: `sortBy must be one of ${LEADERBOARD_SORTS.join(', ')}`
+    });
+  }
+  if (limit === null || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      error: 'Invalid limit',
+      details: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`
+    });
+  }
+  if (minGames === null || minGames < 1) {
+    return res.status(400).json({
+      error: 'Invalid minGames',
+      details: 'minGames must be a positive integer'
+    });
+  }
+
+  res.json({
+    success: true,
+    window,
+    sortBy,
+    indexedBlock: gameIndexer.lastBlock,
+    entries: buildLeaderboard(gameIndexer.getGames(), { window, sortBy, limit, minGames })
+  });
+});
+
+app.get('/api/players/:address/history', (req, res) => {
+  if (!gameIndexer) {
+    return indexerUnavailable(res);
+  }
+
+  const { address } = req.params;
+  const offset = parseIntParam(req.query.offset, 0);
+  const limit = parseIntParam(req.query.limit, 25);
+
+  if (!isAddress(address)) {
+    return res.status(400).json({
+      error: 'Invalid address',
+      details: 'address must be a 0x-prefixed Ethereum address'
+    });
+  }
+  if (offset === null || limit === null || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      error: 'Invalid page',
+      details: `offset must be a non-negative integer and limit an integer between 1 and ${MAX_PAGE_SIZE}`
+    });
+  }
+
+  // Newest games first
+  const games = gameIndexer.getPlayerGames(address).reverse();
+
+  res.json({
+    success: true,
+    player: address,
+    total: games.length,
+    offset,
+    indexedBlock: gameIndexer.lastBlock,
+    games: games.slice(offset, offset + limit)
+  });
 });
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    listingProvider: {
+      name: listingProvider.name,
+      metrics: listingProvider.getMetrics ? listingProvider.getMetrics() : undefined
+    }
+  });
+});
+
+// Errors thrown by routes (or forwarded by asyncRoute) that they did not handle themselves
+app.use((error, req, res, _next) => {
+  // Client errors raised by middleware (e.g. malformed JSON bodies) keep their status
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(`Error in ${req.method} ${req.path}:`, error);
+  }
+
+  res.status(status).json({
+    error: status >= 500 ? 'Internal server error' : 'Invalid request',
+    details: error.message
+  });
 });
 
 // Start server
 app.listen(PORT, () => {
   console.log(`Zillopoly API server running on port ${PORT}`);
-  console.log(`RapidAPI Host: ${process.env.RAPIDAPI_HOST || 'zillow-com1.p.rapidapi.com'}`);
-  console.log(`RapidAPI Key configured: ${process.env.RAPIDAPI_KEY ? 'Yes' : 'No'}`);
+  console.log(`Listing provider: ${listingProvider.name}`);
+  console.log(`Markets: ${markets.length}`);
+  if (listingProvider.name === 'rapidapi') {
+    console.log(`RapidAPI Host: ${process.env.RAPIDAPI_HOST || 'zillow-com1.p.rapidapi.com'}`);
+    console.log(`RapidAPI Key configured: ${process.env.RAPIDAPI_KEY ? 'Yes' : 'No'}`);
+    console.log(`RapidAPI search cache TTL: ${listingProvider.cacheTtlMs / 1000}s`);
+  }
+  console.log(`Multiplier range: ${multiplierConfig.min}-${multiplierConfig.max}%`);
+  console.log(`Multiplier secret commitment: ${multiplierConfig.secretCommitment}`);
+  console.log(`Oracle API key configured: ${process.env.ORACLE_API_KEY ? 'Yes' : 'No'}`);
+  console.log(`Listing attestation signer: ${listingAttester ? listingAttester.address : 'not configured'}`);
+
+  if (gameIndexer) {
+    console.log(`Indexing Zillopoly at ${gameIndexer.address} every ${INDEXER_POLL_INTERVAL_MS}ms`);
+    gameIndexer.start(INDEXER_POLL_INTERVAL_MS);
+  } else {
+    console.log('Indexer: disabled (set RPC_URL and ZILLOPOLY_ADDRESS to enable)');
+  }
 });
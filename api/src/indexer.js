@@ -0,0 +1,264 @@
+import { fileURLToPath } from 'node:url';
+import { Interface, JsonRpcProvider } from 'ethers';
+import { readJsonFile, writeJsonFileAtomic } from './jsonFile.js';
+import { GAME_MODES } from './zillopolyContract.js';
+
+// Zillopoly events replayed into the index
+const ZILLOPOLY_EVENTS = [
+  'event BatchGamesCreated(address indexed player, uint256 startGameId, uint256 endGameId, uint256 stake, uint8 mode, uint256 timestamp)',
+  'event GameInitialized(uint256 indexed gameId, address indexed player, bytes32 indexed listingId, uint256 displayedPrice, bytes32 priceCommitment, uint256 guessDeadline, uint256 timestamp)',
+  'event GuessMade(uint256 indexed gameId, address indexed player, uint8 mode, bool higherOrLower, uint256 priceGuess)',
+  'event BetSettled(uint256 indexed gameId, address indexed player, uint256 displayedPrice, uint256 actualPrice, uint8 mode, bool higherOrLower, uint256 priceGuess, uint256 stake, bool won, uint256 payout)',
+  'event Refunded(uint256 indexed gameId, address indexed player, uint8 fromStage, uint256 amount)',
+  'event GameForfeited(uint256 indexed gameId, address indexed player, address indexed caller)'
+];
+
+const DEFAULT_INDEX_PATH = fileURLToPath(new URL('../data/indexer.json', import.meta.url));
+
+/**
+ * @typedef {Object} IndexedGame
+ * @property {string} gameId
+ * @property {string} player - Checksummed player address
+ * @property {string} stake - HOBO staked, in wei
+ * @property {string} mode - "HigherLower" or "PriceEstimate"
+ * @property {string} stage - Zillopoly.GameStage name
+ * @property {number} createdAt - Unix timestamp (seconds); the other *At fields are set as the game reaches each step
+ * @property {number} [initializedAt]
+ * @property {number} [guessedAt]
+ * @property {number} [settledAt]
+ * @property {number} [refundedAt]
+ * @property {number} [forfeitedAt]
+ * @property {string} [listingId]
+ * @property {string} [displayedPrice]
+ * @property {string} [priceCommitment]
+ * @property {number} [guessDeadline] - As set at initialization; later pauses extend it (see Zillopoly.getGuessDeadline)
+ * @property {boolean} [higherOrLower]
+ * @property {string} [priceGuess]
+ * @property {string} [actualPrice] - Only known once the game is settled
+ * @property {boolean} [won]
+ * @property {string} [payout] - HOBO paid out, in wei
+ */
+
+/**
+ * Replays Zillopoly event logs into a JSON-file backed index of every game
+ *
+ * File layout:
+ * {
+ *   "lastBlock": 123,                          // last block fully applied
+ *   "games": { "<gameId>": IndexedGame },
+ *   "players": { "<lowercase address>": ["<gameId>", ...] }  // in creation order
+ * }
+ */
+export class GameIndexer {
+  /**
+   * @param {Object} options
+   * @param {string} options.rpcUrl - JSON-RPC endpoint of the chain Zillopoly is deployed on
+   * @param {string} options.address - Zillopoly contract address
+   * @param {string} options.filePath - Path of the JSON file (created on first sync)
+   * @param {number} [options.startBlock] - Block to replay from on first sync, e.g. the deployment block
+   * @param {number} [options.blockRange] - Max blocks per eth_getLogs request
+   * @param {number} [options.confirmations] - Blocks to stay behind the head, to avoid indexing reorged logs
+   */
+  constructor({ rpcUrl, address, filePath, startBlock = 0, blockRange = 2000, confirmations = 0 }) {
+    this.provider = new JsonRpcProvider(rpcUrl);
+    this.address = address;
+    this.filePath = filePath;
+    this.blockRange = blockRange;
+    this.confirmations = confirmations;
+    this.interface = new Interface(ZILLOPOLY_EVENTS);
+    this.topics = this.interface.fragments.map((fragment) => fragment.topicHash);
+    this.data = readJsonFile(filePath, { lastBlock: startBlock - 1, games: {}, players: {} });
+    this.syncing = false;
+  }
+
+  /**
+   * Syncs now, then every intervalMs; failed syncs are logged and retried on the next tick
+   * @param {number} intervalMs
+   */
+  start(intervalMs) {
+    const tick = () => this.sync().catch((error) => console.error('Indexer sync failed:', error.message));
+
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  /**
+   * Applies every Zillopoly log from the last indexed block up to the confirmed head
+   * Progress is saved after each block range, so an interrupted sync resumes where it stopped
+   */
+  async sync() {
+    if (this.syncing) {
+      return;
+    }
+    this.syncing = true;
+
+    try {
+      const head = (await this.provider.getBlockNumber()) - this.confirmations;
+
+      for (let fromBlock = this.data.lastBlock + 1; fromBlock <= head; fromBlock += this.blockRange) {
+        const toBlock = Math.min(fromBlock + this.blockRange - 1, head);
+        const logs = await this.provider.getLogs({
+          address: this.address,
+          topics: [this.topics],
+          fromBlock,
+          toBlock
+        });
+
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+        const blockTimestamps = new Map();
+        for (const log of logs) {
+          if (!blockTimestamps.has(log.blockNumber)) {
+            const block = await this.provider.getBlock(log.blockNumber);
+            blockTimestamps.set(log.blockNumber, block.timestamp);
+          }
+          this._apply(this.interface.parseLog(log), blockTimestamps.get(log.blockNumber));
+        }
+
+        this.data.lastBlock = toBlock;
+        writeJsonFileAtomic(this.filePath, this.data);
+      }
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * @returns {number} Last block fully applied to the index
+   */
+  get lastBlock() {
+    return this.data.lastBlock;
+  }
+
+  /**
+   * @returns {IndexedGame[]} Every indexed game
+   */
+  getGames() {
+    return Object.values(this.data.games);
+  }
+
+  /**
+   * @param {number|string|bigint} gameId
+   * @returns {IndexedGame|undefined}
+   */
+  getGame(gameId) {
+    return this.data.games[gameId.toString()];
+  }
+
+  /**
+   * @param {string} player - Player address, any case
+   * @returns {IndexedGame[]} The player's games in creation order
+   */
+  getPlayerGames(player) {
+    return (this.data.players[player.toLowerCase()] || []).map((gameId) => this.data.games[gameId]);
+  }
+
+  /**
+   * Updates the index with one decoded event
+   * @param {import('ethers').LogDescription} event
+   * @param {number} blockTimestamp - Timestamp of the block the event was emitted in
+   */
+  _apply(event, blockTimestamp) {
+    const { args } = event;
+
+    switch (event.name) {
+      case 'BatchGamesCreated': {
+        const playerKey = args.player.toLowerCase();
+        this.data.players[playerKey] ??= [];
+
+        for (let gameId = args.startGameId; gameId <= args.endGameId; gameId++) {
+          this.data.games[gameId.toString()] = {
+            gameId: gameId.toString(),
+            player: args.player,
+            stake: args.stake.toString(),
+            mode: GAME_MODES[Number(args.mode)],
+            stage: 'NotStarted',
+            createdAt: Number(args.timestamp)
+          };
+          this.data.players[playerKey].push(gameId.toString());
+        }
+        break;
+      }
+      case 'GameInitialized':
+        this._update(args.gameId, {
+          stage: 'Initialized',
+          listingId: args.listingId,
+          displayedPrice: args.displayedPrice.toString(),
+          priceCommitment: args.priceCommitment,
+          guessDeadline: Number(args.guessDeadline),
+          initializedAt: Number(args.timestamp)
+        });
+        break;
+      case 'GuessMade':
+        this._update(args.gameId, {
+          stage: 'GuessSubmitted',
+          higherOrLower: args.higherOrLower,
+          priceGuess: args.priceGuess.toString(),
+          guessedAt: blockTimestamp
+        });
+        break;
+      case 'BetSettled':
+        this._update(args.gameId, {
+          stage: 'Settled',
+          actualPrice: args.actualPrice.toString(),
+          won: args.won,
+          payout: args.payout.toString(),
+          settledAt: blockTimestamp
+        });
+        break;
+      case 'Refunded':
+        this._update(args.gameId, {
+          stage: 'Refunded',
+          payout: args.amount.toString(),
+          refundedAt: blockTimestamp
+        });
+        break;
+      case 'GameForfeited':
+        this._update(args.gameId, {
+          stage: 'Forfeited',
+          payout: '0',
+          forfeitedAt: blockTimestamp
+        });
+        break;
+    }
+  }
+
+  _update(gameId, fields) {
+    const game = this.data.games[gameId.toString()];
+
+    // Every game is created by a BatchGamesCreated log before any other event mentions it
+    if (!game) {
+      throw new Error(`Indexed event for unknown game ${gameId}; is INDEXER_START_BLOCK after the deployment?`);
+    }
+
+    Object.assign(game, fields);
+  }
+}
+
+/**
+ * Creates the game indexer from the environment, or null when RPC_URL / ZILLOPOLY_ADDRESS are unset
+ * - INDEXER_STORE_PATH: index file (default api/data/indexer.json)
+ * - INDEXER_START_BLOCK: first block to replay, e.g. the deployment block (default 0)
+ * - INDEXER_BLOCK_RANGE: max blocks per eth_getLogs request (default 2000)
+ * - INDEXER_CONFIRMATIONS: blocks to stay behind the chain head (default 0)
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {GameIndexer|null}
+ */
+export function createGameIndexer(env = process.env) {
+  if (!env.RPC_URL || !env.ZILLOPOLY_ADDRESS) {
+    return null;
+  }
+
+  return new GameIndexer({
+    rpcUrl: env.RPC_URL,
+    address: env.ZILLOPOLY_ADDRESS,
+    filePath: env.INDEXER_STORE_PATH || DEFAULT_INDEX_PATH,
+    startBlock: Number(env.INDEXER_START_BLOCK ?? 0),
+    blockRange: Number(env.INDEXER_BLOCK_RANGE ?? 2000),
+    confirmations: Number(env.INDEXER_CONFIRMATIONS ?? 0)
+  });
+}
@@ -0,0 +1,29 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Reads a JSON file, or returns the fallback when it does not exist yet
+ * @param {string} filePath
+ * @param {Object} fallback - Initial data for a file that was never written
+ * @returns {Object}
+ */
+export function readJsonFile(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Writes data to a temp file and renames it over the original,
+ * so a crash mid-write never leaves a truncated file behind
+ * @param {string} filePath
+ * @param {Object} data
+ */
+export function writeJsonFileAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
@@ -0,0 +1,128 @@
+// Leaderboard time windows, in seconds (null = all time)
+export const LEADERBOARD_WINDOWS = {
+  all: null,
+  day: 24 * 60 * 60,
+  week: 7 * 24 * 60 * 60,
+  month: 30 * 24 * 60 * 60
+};
+
+// Leaderboard orderings, highest first
+export const LEADERBOARD_SORTS = ['netWinnings', 'winRate', 'streak'];
+
+/**
+ * @typedef {Object} LeaderboardEntry
+ * @property {number} rank
+ * @property {string} player
+ * @property {number} gamesPlayed - Settled games, including pushes
+ * @property {number} gamesWon
+ * @property {number} gamesLost
+ * @property {number} winRate - gamesWon / (gamesWon + gamesLost); pushes are not counted
+ * @property {string} totalWagered - In wei
+ * @property {string} totalPaidOut - In wei
+ * @property {string} netWinnings - totalPaidOut - totalWagered, in wei (may be negative)
+ * @property {number} currentWinStreak
+ * @property {number} bestWinStreak
+ */
+
+/**
+ * Ranks players by their settled games within a time window
+ * Mirrors the contract's PlayerStats: a push (lost, stake paid back) neither wins nor breaks a streak
+ * @param {import('./indexer.js').IndexedGame[]} games
+ * @param {Object} options
+ * @param {string} [options.window] - Key of LEADERBOARD_WINDOWS
+ * @param {string} [options.sortBy] - One of LEADERBOARD_SORTS; streak ranks by best streak in the window
+ * @param {number} [options.limit] - Max entries returned
+ * @param {number} [options.minGames] - Players with fewer settled games in the window are left out
+ * @param {number} [options.now] - Current unix timestamp (seconds)
+ * @returns {LeaderboardEntry[]}
+ */
+export function buildLeaderboard(games, {
+  window = 'all',
+  sortBy = 'netWinnings',
+  limit = 25,
+  minGames = 1,
+  now = Math.floor(Date.now() / 1000)
+} = {}) {
+  const windowSeconds = LEADERBOARD_WINDOWS[window];
+  const since = windowSeconds === null ? 0 : now - windowSeconds;
+
+  const settled = games
+    .filter((game) => game.stage === 'Settled' && game.settledAt >= since)
+    .sort((a, b) => a.settledAt - b.settledAt || Number(a.gameId) - Number(b.gameId));
+
+  const byPlayer = new Map();
+  for (const game of settled) {
+    const key = game.player.toLowerCase();
+    if (!byPlayer.has(key)) {
+      byPlayer.set(key, {
+        player: game.player,
+        gamesPlayed: 0,
+        gamesWon: 0,
+        gamesLost: 0,
+        totalWagered: 0n,
+        totalPaidOut: 0n,
+        currentWinStreak: 0,
+        bestWinStreak: 0
+      });
+    }
+
+    const stats = byPlayer.get(key);
+    const stake = BigInt(game.stake);
+    const payout = BigInt(game.payout);
+
+    stats.gamesPlayed++;
+    stats.totalWagered += stake;
+    stats.totalPaidOut += payout;
+
+    if (game.won) {
+      stats.gamesWon++;
+      stats.currentWinStreak++;
+      stats.bestWinStreak = Math.max(stats.bestWinStreak, stats.currentWinStreak);
+    } else if (payout !== stake) {
+      stats.gamesLost++;
+      stats.currentWinStreak = 0;
+    }
+  }
+
+  const entries = [...byPlayer.values()]
+    .filter((stats) => stats.gamesPlayed >= minGames)
+    .map((stats) => {
+      const decided = stats.gamesWon + stats.gamesLost;
+      return {
+        ...stats,
+        winRate: decided === 0 ? 0 : stats.gamesWon / decided,
+        netWinnings: stats.totalPaidOut - stats.totalWagered
+      };
+    });
+
+  const sortKeys = {
+    netWinnings: (a, b) => compareBigInt(b.netWinnings, a.netWinnings),
+    winRate: (a, b) => b.winRate - a.winRate,
+    streak: (a, b) => b.bestWinStreak - a.bestWinStreak
+  };
+
+  entries.sort((a, b) =>
+    sortKeys[sortBy](a, b)
+    || compareBigInt(b.netWinnings, a.netWinnings)
+    || a.player.localeCompare(b.player)
+  );
+
+  return entries.slice(0, limit).map((entry, i) => ({
+    rank: i + 1,
+    player: entry.player,
+    gamesPlayed: entry.gamesPlayed,
+    gamesWon: entry.gamesWon,
+    gamesLost: entry.gamesLost,
+    winRate: entry.winRate,
+    totalWagered: entry.totalWagered.toString(),
+    totalPaidOut: entry.totalPaidOut.toString(),
+    netWinnings: entry.netWinnings.toString(),
+    currentWinStreak: entry.currentWinStreak,
+    bestWinStreak: entry.bestWinStreak
+  }));
+}
+
+function compareBigInt(a, b) {
+  if (a === b) return 0;
+  return a > b ? 1 : -1;
+}
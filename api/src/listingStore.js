@@ -0,0 +1,67 @@
+import { readJsonFile, writeJsonFileAtomic } from './jsonFile.js';
+
+/**
+ * JSON-file backed store of every listing served to a game
+ * Keeps the hidden actual price (and its commitment salt) so settlement can reveal it later
+ *
+ * File layout:
+ * {
+ *   "listings": { "<bytes32 listingId>": record },  // latest record for each listing
+ *   "games": { "<gameId>": record }                  // record served to each game
+ * }
+ */
+export class ListingStore {
+  /**
+   * @param {string} filePath - Path of the JSON file (created on first save)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = readJsonFile(filePath, { listings: {}, games: {} });
+  }
+
+  /**
+   * Saves a listing record, indexed by its listingId and (if known) its gameId
+   * A game keeps the first record saved for it: its on-chain commitment may already use that
+   * record's salt, so a later record for the same game is ignored and the existing one returned
+   * @param {Object} record - Listing record, must include listingId
+   * @returns {Object} The stored record
+   */
+  save(record) {
+    const existing = record.gameId != null ? this.getByGameId(record.gameId) : undefined;
+    if (existing) {
+      console.warn(`Listing store: game ${record.gameId} already has listing ${existing.listingId}, keeping it`);
+      return existing;
+    }
+
+    const stored = {
+      ...record,
+      listingId: record.listingId.toLowerCase(),
+      gameId: record.gameId != null ? record.gameId.toString() : null,
+      storedAt: new Date().toISOString()
+    };
+
+    this.data.listings[stored.listingId] = stored;
+    if (stored.gameId !== null) {
+      this.data.games[stored.gameId] = stored;
+    }
+
+    writeJsonFileAtomic(this.filePath, this.data);
+    return stored;
+  }
+
+  /**
+   * @param {string} listingId - bytes32 listingId
+   * @returns {Object|undefined} Latest record stored for this listing
+   */
+  getByListingId(listingId) {
+    return this.data.listings[listingId.toLowerCase()];
+  }
+
+  /**
+   * @param {number|string|bigint} gameId - On-chain game ID
+   * @returns {Object|undefined} Record served to this game
+   */
+  getByGameId(gameId) {
+    return this.data.games[gameId.toString()];
+  }
+}
@@ -0,0 +1,124 @@
+import fs from 'node:fs';
+
+// Home types accepted by Zillow's propertyExtendedSearch home_type parameter
+export const HOME_TYPES = ['Houses', 'Townhomes', 'Condos', 'Apartments', 'Multi-family', 'Manufactured', 'LotsLand'];
+
+/**
+ * @typedef {Object} Market
+ * @property {string} id - Unique market identifier, e.g. "austin-tx"
+ * @property {string} city
+ * @property {string} state - Two-letter state code
+ * @property {string[]} homeTypes - Home types served in this market (see HOME_TYPES)
+ * @property {number} [minPrice] - Lower bound of the market's price band
+ * @property {number} [maxPrice] - Upper bound of the market's price band
+ * @property {number} weight - Relative selection weight
+ */
+
+/**
+ * @typedef {Object} ListingFilters
+ * @property {string} [market] - Restrict to one market id
+ * @property {string} [homeType] - Restrict to one home type
+ * @property {number} [minPrice]
+ * @property {number} [maxPrice]
+ */
+
+/**
+ * Loads and validates the market catalog from a JSON file
+ * @param {string} filePath - Path to a JSON array of markets
+ * @returns {Market[]}
+ */
+export function loadMarkets(filePath) {
+  const markets = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (!Array.isArray(markets) || markets.length === 0) {
+    throw new Error(`Market catalog ${filePath} must be a non-empty array`);
+  }
+
+  const ids = new Set();
+  return markets.map((market) => {
+    const { id, city, state, homeTypes, minPrice, maxPrice } = market;
+    const weight = market.weight ?? 1;
+
+    if (!id || !city || !state) {
+      throw new Error(`Market ${JSON.stringify(market)} needs an id, city and state`);
+    }
+    if (ids.has(id)) {
+      throw new Error(`Duplicate market id "${id}"`);
+    }
+    if (!Array.isArray(homeTypes) || homeTypes.length === 0 || !homeTypes.every((type) => HOME_TYPES.includes(type))) {
+      throw new Error(`Market "${id}" homeTypes must be a non-empty subset of ${HOME_TYPES.join(', ')}`);
+    }
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+      throw new Error(`Market "${id}" minPrice must be <= maxPrice`);
+    }
+    if (!(weight > 0)) {
+      throw new Error(`Market "${id}" weight must be > 0`);
+    }
+
+    ids.add(id);
+    return { id, city, state, homeTypes, minPrice, maxPrice, weight };
+  });
+}
+
+/**
+ * @param {Market} market
+ * @returns {string} Search location, e.g. "Austin, TX"
+ */
+export function marketLocation(market) {
+  return `${market.city}, ${market.state}`;
+}
+
+/**
+ * Resolves the search parameters for a market under the requested filters
+ * The requested price range is intersected with the market's price band
+ * @param {Market} market
+ * @param {ListingFilters} filters
+ * @returns {{ location: string, homeType: string, minPrice?: number, maxPrice?: number }|null}
+ *   Search parameters, or null if the market cannot satisfy the filters
+ */
+export function marketSearch(market, filters = {}) {
+  if (filters.market && filters.market !== market.id) {
+    return null;
+  }
+  if (filters.homeType && !market.homeTypes.includes(filters.homeType)) {
+    return null;
+  }
+
+  const minPrice = maxDefined(market.minPrice, filters.minPrice);
+  const maxPrice = minDefined(market.maxPrice, filters.maxPrice);
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    return null;
+  }
+
+  return {
+    location: marketLocation(market),
+    homeType: filters.homeType ?? market.homeTypes[Math.floor(Math.random() * market.homeTypes.length)],
+    minPrice,
+    maxPrice
+  };
+}
+
+/**
+ * Orders markets by weighted random sampling without replacement (Efraimidis-Spirakis),
+ * so the first market is a weighted random pick and later ones are fallbacks
+ * @param {Market[]} markets
+ * @returns {Market[]}
+ */
+export function weightedShuffle(markets) {
+  return markets
+    .map((market) => ({ market, key: Math.random() ** (1 / market.weight) }))
+    .sort((a, b) => b.key - a.key)
+    .map(({ market }) => market);
+}
+
+function maxDefined(a, b) {
+  if (a === undefined) return b;
+  if (b === undefined) return a;
+  return Math.max(a, b);
+}
+
+function minDefined(a, b) {
+  if (a === undefined) return b;
+  if (b === undefined) return a;
+  return Math.min(a, b);
+}
@@ -0,0 +1,37 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Creates middleware that only lets the oracle (the CRE workflow) through
+ * The oracle sends the shared ORACLE_API_KEY as "Authorization: Bearer <key>".
+ * Fails closed: without a configured key every request is refused.
+ * @param {string|undefined} apiKey - Shared secret, from ORACLE_API_KEY
+ * @returns {import('express').RequestHandler}
+ */
+export function createOracleAuth(apiKey) {
+  // Compare fixed-length digests so the check takes the same time whatever the key length
+  const expected = apiKey ? digest(apiKey) : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(503).json({
+        error: 'Oracle authentication not configured',
+        details: 'Set ORACLE_API_KEY to enable oracle routes'
+      });
+    }
+
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token || !timingSafeEqual(digest(token), expected)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        details: 'Oracle routes require "Authorization: Bearer <ORACLE_API_KEY>"'
+      });
+    }
+
+    next();
+  };
+}
+
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
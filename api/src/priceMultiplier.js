@@ -0,0 +1,59 @@
+import { createHmac } from 'node:crypto';
+import { keccak256, toUtf8Bytes } from 'ethers';
+
+/**
+ * Reads the displayed-price multiplier settings from the environment
+ * Multipliers are whole percentages of the actual price, e.g. 85 to 115 for ±15%
+ * MULTIPLIER_SECRET is required: without it no displayed price can be derived
+ * secretCommitment = keccak256(secret) is published up front, so once the operator reveals a
+ * secret (e.g. when rotating it) anyone can check it and recompute every seed derived from it
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {{ secret: string, secretCommitment: string, min: number, max: number }}
+ */
+export function loadMultiplierConfig(env = process.env) {
+  if (!env.MULTIPLIER_SECRET) {
+    throw new Error('MULTIPLIER_SECRET is not configured');
+  }
+
+  const min = Number(env.PRICE_MULTIPLIER_MIN ?? 85);
+  const max = Number(env.PRICE_MULTIPLIER_MAX ?? 115);
+
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min <= 0 || min > max) {
+    throw new Error(`Invalid multiplier range ${min}-${max}: expected integers with 0 < min <= max`);
+  }
+  if (min === 100 && max === 100) {
+    throw new Error('Multiplier range must include a value other than 100');
+  }
+
+  return {
+    secret: env.MULTIPLIER_SECRET,
+    secretCommitment: keccak256(toUtf8Bytes(env.MULTIPLIER_SECRET)),
+    min,
+    max
+  };
+}
+
+/**
+ * Derives the displayed-price multiplier for a game from a server secret
+ * seed = HMAC-SHA256(secret, "zillopoly-multiplier:" + seedInput), and the multiplier is
+ * the (seed mod n)-th value of [min, max] with 100 removed, so the displayed price never
+ * equals the actual price. The seed is published after settlement; with the revealed secret
+ * anyone can recompute it and check the secret against the published secretCommitment.
+ * @param {string} seedInput - The gameId (or listingId when no game is known)
+ * @param {{ secret: string, min: number, max: number }} config - From loadMultiplierConfig
+ * @returns {{ multiplier: number, seed: string, seedInput: string }}
+ */
+export function derivePriceMultiplier(seedInput, { secret, min, max }) {
+  const seed = `0x${createHmac('sha256', secret).update(`zillopoly-multiplier:${seedInput}`).digest('hex')}`;
+
+  const candidates = [];
+  for (let value = min; value <= max; value++) {
+    if (value !== 100) {
+      candidates.push(value);
+    }
+  }
+
+  const multiplier = candidates[Number(BigInt(seed) % BigInt(candidates.length))];
+
+  return { multiplier, seed, seedInput: seedInput.toString() };
+}
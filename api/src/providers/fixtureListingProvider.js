@@ -0,0 +1,148 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const NUMERIC_FIELDS = ['price', 'bedrooms', 'bathrooms', 'livingArea', 'latitude', 'longitude'];
+
+// Search home_type values and the homeType Zillow reports on the matching listings
+const HOME_TYPE_LISTING_VALUES = {
+  Houses: 'SINGLE_FAMILY',
+  Townhomes: 'TOWNHOUSE',
+  Condos: 'CONDO',
+  Apartments: 'APARTMENT',
+  'Multi-family': 'MULTI_FAMILY',
+  Manufactured: 'MANUFACTURED',
+  LotsLand: 'LOT'
+};
+
+/**
+ * Listing provider that serves listings from a local JSON or CSV file
+ * Lets the whole game loop run offline and in tests
+ *
+ * Each listing may name a `location` (e.g. "Austin, TX"); listings without one match any location
+ * and are returned with `anyLocation` set, so they are not labelled with the searched market.
+ * A batch of games is served distinct listings, so a file needs at least as many listings matching
+ * a market as the largest batch (Zillopoly.maxBatchSize); the bundled file has enough location-less ones.
+ * @implements {import('./index.js').ListingProvider}
+ */
+export class FixtureListingProvider {
+  /**
+   * @param {string} filePath - Path to a .json (array of listings) or .csv (header row + listings) file
+   */
+  constructor(filePath) {
+    this.name = 'fixture';
+    this.filePath = filePath;
+    this.listings = loadFixtures(filePath);
+
+    if (this.listings.length === 0) {
+      throw new Error(`No listings found in fixture file ${filePath}`);
+    }
+  }
+
+  /**
+   * @param {import('./index.js').ListingSearch} search
+   * @returns {Promise<import('./index.js').Listing[]>}
+   */
+  async searchListings({ location, homeType, minPrice, maxPrice }) {
+    const wanted = location.toLowerCase();
+    const wantedHomeType = homeType && HOME_TYPE_LISTING_VALUES[homeType];
+
+    return this.listings
+      .filter((listing) => !listing.location || listing.location.toLowerCase() === wanted)
+      .filter((listing) => !wantedHomeType || !listing.homeType || listing.homeType === wantedHomeType)
+      .filter((listing) => minPrice === undefined || listing.price >= minPrice)
+      .filter((listing) => maxPrice === undefined || listing.price <= maxPrice)
+      .map(({ location, ...listing }) => (location ? listing : { ...listing, anyLocation: true }));
+  }
+
+  /**
+   * @param {string} zpid - Zillow Property ID
+   * @returns {Promise<import('./index.js').Listing|null>}
+   */
+  async getListing(zpid) {
+    const listing = this.listings.find((candidate) => candidate.zpid.toString() === zpid.toString());
+    if (!listing) {
+      return null;
+    }
+
+    const { location: _location, ...rest } = listing;
+    return rest;
+  }
+}
+
+/**
+ * Reads listings from a JSON or CSV file, chosen by file extension
+ * @param {string} filePath
+ * @returns {Object[]}
+ */
+function loadFixtures(filePath) {
+  const contents = fs.readFileSync(filePath, 'utf8');
+
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    return parseCsv(contents).map((row) => {
+      const listing = { ...row };
+      for (const field of NUMERIC_FIELDS) {
+        listing[field] = row[field] === undefined || row[field] === '' ? undefined : Number(row[field]);
+      }
+      return listing;
+    });
+  }
+
+  return JSON.parse(contents);
+}
+
+/**
+ * Minimal RFC 4180 CSV parser: a header row, then one object per row
+ * Supports quoted fields containing commas, newlines and escaped ("") quotes
+ * @param {string} contents
+ * @returns {Object[]}
+ */
+function parseCsv(contents) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < contents.length; i++) {
+    const char = contents[i];
+
+    if (inQuotes) {
+      if (char === '"' && contents[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && contents[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter((r) => r.some((value) => value !== ''));
+  if (!header) {
+    return [];
+  }
+
+  return records.map((record) =>
+    Object.fromEntries(header.map((name, index) => [name.trim(), record[index]]))
+  );
+}
@@ -0,0 +1,69 @@
+import { fileURLToPath } from 'node:url';
+import { FixtureListingProvider } from './fixtureListingProvider.js';
+import { RapidApiZillowProvider } from './rapidApiZillowProvider.js';
+
+/**
+ * @typedef {Object} Listing
+ * @property {number|string} zpid - Zillow Property ID
+ * @property {string} address
+ * @property {number} price - The actual listing price
+ * @property {string} [imgSrc]
+ * @property {number} [bedrooms]
+ * @property {number} [bathrooms]
+ * @property {number} [livingArea]
+ * @property {string} [homeType]
+ * @property {number} [latitude]
+ * @property {number} [longitude]
+ * @property {boolean} [anyLocation] - Returned for any searched location (e.g. a fixture without one), so its market is unknown
+ */
+
+/**
+ * @typedef {Object} ListingSearch
+ * @property {string} location - City and state, e.g. "Austin, TX"
+ * @property {string} [homeType] - Zillow home_type, e.g. "Houses" (see markets.js HOME_TYPES)
+ * @property {number} [minPrice]
+ * @property {number} [maxPrice]
+ */
+
+/**
+ * Source of real estate listings behind fetchRandomListing
+ * @typedef {Object} ListingProvider
+ * @property {string} name - Provider name, as selected by LISTING_PROVIDER
+ * @property {(search: ListingSearch) => Promise<Listing[]>} searchListings - For-sale listings matching a search
+ * @property {(zpid: string) => Promise<Listing|null>} getListing - A single listing by zpid
+ * @property {() => Object} [getMetrics] - Provider counters (e.g. cache hits/misses), reported by /health
+ */
+
+const DEFAULT_FIXTURE_PATH = fileURLToPath(new URL('../../fixtures/listings.json', import.meta.url));
+
+/**
+ * Creates the listing provider selected by the LISTING_PROVIDER env var
+ * - "rapidapi" (default): Zillow via RapidAPI, needs RAPIDAPI_KEY
+ *   - RAPIDAPI_CACHE_TTL_SECONDS: how long search results are reused (default 300, 0 disables the cache)
+ *   - RAPIDAPI_REQUESTS_PER_SECOND / RAPIDAPI_BURST: upstream rate limit (default 2 / 2)
+ *   - RAPIDAPI_MAX_RETRIES: retries of a request answered with 429/5xx (default 3)
+ *   - RAPIDAPI_MAX_RETRY_DELAY_SECONDS: longest Retry-After honoured before failing the request (default 30)
+ * - "fixture": listings from LISTING_FIXTURE_PATH (JSON or CSV), works offline
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {ListingProvider}
+ */
+export function createListingProvider(env = process.env) {
+  const providerName = (env.LISTING_PROVIDER || 'rapidapi').toLowerCase();
+
+  switch (providerName) {
+    case 'rapidapi':
+      return new RapidApiZillowProvider({
+        host: env.RAPIDAPI_HOST || 'zillow-com1.p.rapidapi.com',
+        apiKey: env.RAPIDAPI_KEY,
+        cacheTtlMs: Number(env.RAPIDAPI_CACHE_TTL_SECONDS ?? 300) * 1000,
+        requestsPerSecond: Number(env.RAPIDAPI_REQUESTS_PER_SECOND ?? 2),
+        burst: Number(env.RAPIDAPI_BURST ?? 2),
+        maxRetries: Number(env.RAPIDAPI_MAX_RETRIES ?? 3),
+        maxRetryDelayMs: Number(env.RAPIDAPI_MAX_RETRY_DELAY_SECONDS ?? 30) * 1000
+      });
+    case 'fixture':
+      return new FixtureListingProvider(env.LISTING_FIXTURE_PATH || DEFAULT_FIXTURE_PATH);
+    default:
+      throw new Error(`Unknown LISTING_PROVIDER "${env.LISTING_PROVIDER}" (expected "rapidapi" or "fixture")`);
+  }
+}
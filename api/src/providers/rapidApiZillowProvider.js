@@ -0,0 +1,251 @@
+/**
+ * Listing provider backed by the Zillow API on RapidAPI (zillow-com1.p.rapidapi.com)
+ *
+ * Search results are cached per search (location, home type and price band) for cacheTtlMs,
+ * so a batch of games or repeated random listings from one market cost a single upstream call.
+ * Every upstream request waits for a token from a token bucket, and 429/5xx responses are
+ * retried with exponential backoff (honouring Retry-After, up to maxRetryDelayMs).
+ * @implements {import('./index.js').ListingProvider}
+ */
+export class RapidApiZillowProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - RapidAPI host
+   * @param {string} options.apiKey - RapidAPI key
+   * @param {number} [options.cacheTtlMs] - How long search results are reused; 0 disables the cache
+   * @param {number} [options.requestsPerSecond] - Sustained upstream request rate
+   * @param {number} [options.burst] - Requests that may be sent back to back before throttling
+   * @param {number} [options.maxRetries] - Retries of a request answered with 429/5xx
+   * @param {number} [options.retryBaseDelayMs] - First retry delay, doubled on each further retry
+   * @param {number} [options.maxRetryDelayMs] - Longest wait before a retry; a longer Retry-After fails the request instead
+   */
+  constructor({
+    host,
+    apiKey,
+    cacheTtlMs = 5 * 60 * 1000,
+    requestsPerSecond = 2,
+    burst = 2,
+    maxRetries = 3,
+    retryBaseDelayMs = 500,
+    maxRetryDelayMs = 30 * 1000
+  }) {
+    this.name = 'rapidapi';
+    this.host = host;
+    this.apiKey = apiKey;
+    this.cacheTtlMs = cacheTtlMs;
+    this.maxRetries = maxRetries;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.rateLimiter = new TokenBucket(requestsPerSecond, burst);
+
+    // Cache key -> { expiresAt, promise }; the promise is shared while the search is in flight
+    this.searchCache = new Map();
+    this.metrics = { cacheHits: 0, cacheMisses: 0, upstreamRequests: 0, retries: 0, failures: 0 };
+  }
+
+  /**
+   * Searches for-sale listings via propertyExtendedSearch, served from the cache when fresh
+   * @param {import('./index.js').ListingSearch} search
+   * @returns {Promise<import('./index.js').Listing[]>}
+   */
+  async searchListings({ location, homeType = 'Houses', minPrice, maxPrice }) {
+    const key = JSON.stringify([location.toLowerCase(), homeType, minPrice ?? null, maxPrice ?? null]);
+    const now = Date.now();
+    const cached = this.searchCache.get(key);
+
+    if (cached && cached.expiresAt > now) {
+      this.metrics.cacheHits++;
+      return cached.promise;
+    }
+
+    this.metrics.cacheMisses++;
+    this._pruneCache(now);
+
+    const url = new URL(`https://${this.host}/propertyExtendedSearch`);
+    url.searchParams.append('location', location);
+    url.searchParams.append('status_type', 'ForSale');
+    url.searchParams.append('home_type', homeType);
+    if (minPrice !== undefined) {
+      url.searchParams.append('minPrice', minPrice);
+    }
+    if (maxPrice !== undefined) {
+      url.searchParams.append('maxPrice', maxPrice);
+    }
+
+    const promise = this._get(url).then((data) => (data.props || []).map(normalizeListing));
+
+    if (this.cacheTtlMs > 0) {
+      this.searchCache.set(key, { expiresAt: now + this.cacheTtlMs, promise });
+      // Never cache a failure: the next search retries upstream
+      promise.catch(() => {
+        if (this.searchCache.get(key)?.promise === promise) {
+          this.searchCache.delete(key);
+        }
+      });
+    }
+
+    return promise;
+  }
+
+  /**
+   * Fetches a single property by zpid
+   * @param {string} zpid - Zillow Property ID
+   * @returns {Promise<import('./index.js').Listing|null>}
+   */
+  async getListing(zpid) {
+    const url = new URL(`https://${this.host}/property`);
+    url.searchParams.append('zpid', zpid);
+
+    const property = await this._get(url);
+
+    return property && property.zpid ? normalizeListing(property) : null;
+  }
+
+  /**
+   * @returns {Object} Cache and upstream request counters since startup
+   */
+  getMetrics() {
+    const lookups = this.metrics.cacheHits + this.metrics.cacheMisses;
+    return {
+      ...this.metrics,
+      cacheHitRate: lookups === 0 ? 0 : this.metrics.cacheHits / lookups,
+      cacheEntries: this.searchCache.size
+    };
+  }
+
+  async _get(url) {
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimiter.take();
+      this.metrics.upstreamRequests++;
+
+      const response = await fetch(url.toString(), {
+        method: 'GET',
+        headers: {
+          'x-rapidapi-host': this.host,
+          'x-rapidapi-key': this.apiKey
+        }
+      });
+
+      if (response.ok) {
+        return response.json();
+      }
+
+      if (!isRetryableStatus(response.status) || attempt >= this.maxRetries) {
+        this.metrics.failures++;
+        throw new Error(`RapidAPI responded with status: ${response.status}`);
+      }
+
+      const delayMs = retryDelayMs(response, attempt, this.retryBaseDelayMs);
+      if (delayMs > this.maxRetryDelayMs) {
+        // Waiting would hold the caller's request open far longer than any client waits for it
+        this.metrics.failures++;
+        throw new Error(`RapidAPI responded with status: ${response.status}, retry after ${delayMs}ms exceeds the ${this.maxRetryDelayMs}ms limit`);
+      }
+      this.metrics.retries++;
+      console.warn(`RapidAPI responded with status ${response.status}, retrying in ${delayMs}ms`);
+      await sleep(delayMs);
+    }
+  }
+
+  _pruneCache(now) {
+    for (const [key, entry] of this.searchCache) {
+      if (entry.expiresAt <= now) {
+        this.searchCache.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Token bucket limiting how fast requests are sent
+ * Holds up to `burst` tokens, refilled at `ratePerSecond`; each request spends one
+ */
+class TokenBucket {
+  /**
+   * @param {number} ratePerSecond
+   * @param {number} burst
+   */
+  constructor(ratePerSecond, burst) {
+    this.ratePerMs = ratePerSecond / 1000;
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    // Callers queue behind each other so tokens are handed out in order
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Resolves once a token has been taken
+   * @returns {Promise<void>}
+   */
+  take() {
+    const turn = this.queue.then(async () => {
+      this._refill();
+      if (this.tokens < 1) {
+        await sleep(Math.ceil((1 - this.tokens) / this.ratePerMs));
+        this._refill();
+      }
+      this.tokens -= 1;
+    });
+
+    this.queue = turn;
+    return turn;
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+    this.updatedAt = now;
+  }
+}
+
+/**
+ * Upstream statuses worth retrying: rate limited, or a transient server error
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Delay before retrying a failed request: Retry-After when the upstream sends it,
+ * otherwise exponential backoff with jitter
+ * @param {Response} response
+ * @param {number} attempt - Attempts already failed, minus one
+ * @param {number} baseDelayMs
+ * @returns {number}
+ */
+function retryDelayMs(response, attempt, baseDelayMs) {
+  const retryAfter = Number(response.headers.get('retry-after'));
+  if (retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+
+  const backoff = baseDelayMs * 2 ** attempt;
+  return backoff + Math.floor(Math.random() * backoff / 2);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Maps a Zillow search result or property response to a Listing
+ * @param {Object} raw - Zillow property object
+ * @returns {import('./index.js').Listing}
+ */
+function normalizeListing(raw) {
+  return {
+    zpid: raw.zpid,
+    address: raw.address,
+    price: raw.price || 0,
+    imgSrc: raw.imgSrc,
+    bedrooms: raw.bedrooms,
+    bathrooms: raw.bathrooms,
+    livingArea: raw.livingArea,
+    homeType: raw.homeType,
+    latitude: raw.latitude,
+    longitude: raw.longitude
+  };
+}
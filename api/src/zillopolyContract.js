@@ -0,0 +1,53 @@
+import { Contract, JsonRpcProvider } from 'ethers';
+
+// Mirror the Zillopoly enums, indexed by their on-chain value
+export const GAME_STAGES = ['NotStarted', 'Initialized', 'GuessSubmitted', 'Settled', 'Refunded', 'Forfeited'];
+export const GAME_MODES = ['HigherLower', 'PriceEstimate'];
+export const TIE_POLICIES = ['Push', 'Win', 'Lose'];
+
+const ZILLOPOLY_ABI = [
+  'function getGame(uint256 gameId) view returns (tuple(uint256 gameId, uint256 displayedPrice, uint256 actualPrice, uint8 mode, bool higherOrLower, uint256 priceGuess, bytes32 listingId, bytes32 priceCommitment, address player, uint256 stake, uint256 payoutMultiplierBps, uint8 tiePolicy, uint256 timestamp, uint256 guessDeadline, uint256 guessedAt, uint8 stage, bool won, uint256 payout))',
+  'function getGuessDeadline(uint256 gameId) view returns (uint256)'
+];
+
+/**
+ * Creates a read-only Zillopoly contract from the environment, or null when RPC_URL / ZILLOPOLY_ADDRESS are unset
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {Contract|null}
+ */
+export function createZillopolyContract(env = process.env) {
+  if (!env.RPC_URL || !env.ZILLOPOLY_ADDRESS) {
+    return null;
+  }
+
+  return new Contract(env.ZILLOPOLY_ADDRESS, ZILLOPOLY_ABI, new JsonRpcProvider(env.RPC_URL));
+}
+
+/**
+ * Converts a Zillopoly.Listing returned by getGame into JSON-safe values
+ * Amounts are decimal strings (wei for HOBO), timestamps are unix seconds and enums are names
+ * @param {import('ethers').Result} game
+ * @returns {Object}
+ */
+export function formatGame(game) {
+  return {
+    gameId: game.gameId.toString(),
+    player: game.player,
+    mode: GAME_MODES[Number(game.mode)],
+    stage: GAME_STAGES[Number(game.stage)],
+    stake: game.stake.toString(),
+    payoutMultiplierBps: Number(game.payoutMultiplierBps),
+    tiePolicy: TIE_POLICIES[Number(game.tiePolicy)],
+    listingId: game.listingId,
+    displayedPrice: game.displayedPrice.toString(),
+    priceCommitment: game.priceCommitment,
+    higherOrLower: game.higherOrLower,
+    priceGuess: game.priceGuess.toString(),
+    actualPrice: game.actualPrice.toString(),
+    won: game.won,
+    payout: game.payout.toString(),
+    createdAt: Number(game.timestamp),
+    guessDeadline: Number(game.guessDeadline),
+    guessedAt: Number(game.guessedAt)
+  };
+}
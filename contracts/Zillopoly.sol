@@ -2,57 +2,182 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 
 /**
  * @title Zillopoly
  * @dev Real estate guessing game with three stages:
- * Stage 1: Initialize game with listing (displayed price shown)
- * Stage 2: Player guesses if actual price is higher or lower than displayed price
- * Stage 3: External oracle sets actual price and bet is settled
+ * Stage 1: Initialize game with listing (displayed price shown, actual price committed)
+ * Stage 2: Player guesses if actual price is higher or lower than displayed price,
+ *          or, in price-estimate mode, guesses the actual price itself
+ * Stage 3: External oracle reveals actual price and bet is settled
+ *
+ * The player has guessWindow after initialization to guess; once that deadline passes,
+ * anyone can forfeit the game and its stake goes to the house.
+ *
+ * Roles:
+ * - DEFAULT_ADMIN_ROLE: configures the game, grants/revokes roles, pauses and shuts down
+ * - ORACLE_ROLE: initializes and settles games (the CRE workflow signer)
+ * - TREASURER_ROLE: withdraws house funds
+ *
+ * Games can also be initialized by anyone relaying an EIP-712 ListingAttestation signed by a
+ * registered attestation signer (the listing API), so the relayer does not need to be trusted.
+ *
+ * Pausing blocks new batches and guesses. Emergency shutdown is permanent: it also stops
+ * the oracle, and players withdraw the stake of every unsettled game.
  */
-contract Zillopoly is Ownable, ReentrancyGuard {
+contract Zillopoly is AccessControl, ReentrancyGuard, Pausable, EIP712 {
+    bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+
+    bytes32 public constant LISTING_ATTESTATION_TYPEHASH = keccak256(
+        "ListingAttestation(uint256 gameId,bytes32 listingId,uint256 displayedPrice,bytes32 priceCommitment,uint256 expiry)"
+    );
+
     IERC20 public hoboToken;
 
-    uint256 public constant GAME_COST = 1000 * 10**18; // 1000 HOBO tokens
-    uint256 public constant BATCH_SIZE = 10; // Number of games per batch
-    uint256 public constant BATCH_COST = GAME_COST * BATCH_SIZE; // 10,000 HOBO tokens
+    uint256 public constant BATCH_SIZE = 10; // Default number of games per batch
+    uint256 public constant MAX_PAGE_SIZE = 100; // Max games returned by one paginated view call
+    uint256 public constant MAX_STAGE_SCAN = 1000; // Max games scanned by one getGamesByStagePage call
+    uint256 public constant MAX_GUESS_BATCH = 100; // Max games guessed by one makeGuesses/makePriceGuesses call
+    uint256 public maxBatchSize = 10; // Admin-configurable cap on games per batch
     uint256 public nextGameId = 1;
 
+    // Admin-configurable bounds on the per-game stake
+    uint256 public minStake = 100 * 10**18;     // 100 HOBO tokens
+    uint256 public maxStake = 100_000 * 10**18; // 100,000 HOBO tokens
+
+    // How long the oracle has to initialize or settle a game before the player can claim a refund
+    uint256 public refundTimeout = 1 days;
+
+    // How long the player has to guess once a game is initialized; each game records its own deadline
+    uint256 public guessWindow = 10 minutes;
+
+    // Worst-case payout owed to unsettled games; this part of the balance is reserved
+    uint256 public totalLiability;
+
+    // Set permanently by emergencyShutdown
+    bool public isShutdown;
+
+    // Time spent paused before the current pause, and when the current pause began.
+    // Players cannot guess while paused, so guess deadlines are extended by every pause.
+    uint256 public totalPausedDuration;
+    uint256 public pausedAt;
+
+    // Paused time already elapsed when each game was initialized; later pauses extend its deadline
+    mapping(uint256 => uint256) private pausedDurationAtInitialization;
+
+    // Keys whose ListingAttestations are accepted by initializeGameWithAttestation
+    mapping(address => bool) public isAttestationSigner;
+
+    // When set, games can only be initialized with a signed attestation
+    bool public attestationRequired;
+
+    // Bounds on the win payout, in basis points of the stake (10000 = 1x)
+    uint256 public constant MIN_PAYOUT_MULTIPLIER_BPS = 10_000; // Win returns the stake
+    uint256 public constant MAX_PAYOUT_MULTIPLIER_BPS = 20_000; // Win doubles the stake (no house edge)
+
+    // Admin-configurable payout on a win; new games record the value in effect when created
+    uint256 public payoutMultiplierBps = 20_000;
+
+    enum TiePolicy {
+        Push, // Stake is returned
+        Win,  // Tie counts as a player win
+        Lose  // Tie counts as a player loss
+    }
+
+    // Admin-configurable outcome when actualPrice == displayedPrice; recorded per game like the multiplier
+    TiePolicy public tiePolicy = TiePolicy.Win;
+
+    // Price-estimate payout tiers: a guess within DISTANCE of the actual price (in basis points
+    // of the actual price) pays PAYOUT (in basis points of the stake); further off pays nothing.
+    // PAYOUT is for a game at MAX_PAYOUT_MULTIPLIER_BPS and scales down with the game's multiplier.
+    // Games show a displayed price within ±15% of the actual one, so the tiers are narrow enough
+    // that guessing from it returns less than the stake on average (about 0.73x for the displayed price itself)
+    uint256 public constant ESTIMATE_TIER1_DISTANCE_BPS = 100;  // within ±1%
+    uint256 public constant ESTIMATE_TIER1_PAYOUT_BPS = 40_000; // pays 4x
+    uint256 public constant ESTIMATE_TIER2_DISTANCE_BPS = 300;  // within ±3%
+    uint256 public constant ESTIMATE_TIER2_PAYOUT_BPS = 20_000; // pays 2x
+    uint256 public constant ESTIMATE_TIER3_DISTANCE_BPS = 500;  // within ±5%
+    uint256 public constant ESTIMATE_TIER3_PAYOUT_BPS = 15_000; // pays 1.5x
+
+    enum GameMode {
+        HigherLower,  // Player guesses whether the actual price is above or below the displayed price
+        PriceEstimate // Player guesses the actual price; payout depends on how close they were
+    }
+
     enum GameStage {
         NotStarted,
         Initialized,    // Stage 1: Listing created with displayed price
         GuessSubmitted, // Stage 2: Player has made their guess
-        Settled         // Stage 3: Bet settled with actual price
+        Settled,        // Stage 3: Bet settled with actual price
+        Refunded,       // Stake returned because the oracle did not act in time
+        Forfeited       // Player missed the guess deadline; stake kept by the house
     }
 
     struct Listing {
         uint256 gameId;           // Unique auto-incremented game ID
         uint256 displayedPrice;   // Price shown to player (set at initialization)
         uint256 actualPrice;      // Real price (set at settlement by oracle)
-        bool higherOrLower;       // Player's guess: true = higher, false = lower
+        GameMode mode;            // How the player guesses, chosen at creation
+        bool higherOrLower;       // HigherLower guess: true = higher, false = lower
+        uint256 priceGuess;       // PriceEstimate guess of the actual price
         bytes32 listingId;        // Unique listing identifier
+        bytes32 priceCommitment;  // keccak256(actualPrice, salt) committed at initialization
         address player;           // Player who owns this game
+        uint256 stake;            // HOBO staked on this game
+        uint256 payoutMultiplierBps; // Win payout in basis points of the stake, fixed at creation
+        TiePolicy tiePolicy;      // Outcome of a tie, fixed at creation
         uint256 timestamp;        // When game was created
+        uint256 guessDeadline;    // Guess deadline set at initialization; see getGuessDeadline for pauses
+        uint256 guessedAt;        // When the player made their guess
         GameStage stage;          // Current stage of the game
         bool won;                 // Whether player won (set after settlement)
         uint256 payout;           // Payout amount (set after settlement)
     }
 
-    // Mapping from player address to their listings
-    mapping(address => Listing[]) public playerListings;
+    // Mapping from gameId to listing (single source of truth for game state, read it via getGame)
+    mapping(uint256 => Listing) internal gameById;
 
-    // Mapping from gameId to listing (for easy lookup)
-    mapping(uint256 => Listing) public gameById;
+    // Mapping from player address to the IDs of their games, in creation order
+    mapping(address => uint256[]) public playerGameIds;
 
-    // All games ever created
-    Listing[] public allGames;
+    // Aggregate record of settled games; refunded and forfeited games are not counted
+    struct PlayerStats {
+        uint256 gamesPlayed;      // Settled games, including pushes
+        uint256 gamesWon;
+        uint256 gamesLost;
+        uint256 totalWagered;     // Sum of stakes of settled games
+        uint256 totalPaidOut;     // Sum of payouts of settled games (pushes pay back the stake)
+        uint256 currentWinStreak; // Consecutive wins up to the latest settled game; pushes leave it unchanged
+        uint256 bestWinStreak;
+    }
+
+    struct GlobalStats {
+        uint256 playerCount;      // Players with at least one settled game
+        uint256 gamesPlayed;
+        uint256 gamesWon;
+        uint256 gamesLost;
+        uint256 totalWagered;
+        uint256 totalPaidOut;
+    }
+
+    // Per-player stats, updated at settlement (read via getPlayerStats)
+    mapping(address => PlayerStats) internal playerStats;
+
+    // Totals across all players, updated at settlement (read via getGlobalStats)
+    GlobalStats internal globalStats;
 
     event BatchGamesCreated(
         address indexed player,
         uint256 startGameId,
         uint256 endGameId,
+        uint256 stake,
+        GameMode mode,
         uint256 timestamp
     );
 
@@ -61,13 +186,17 @@ contract Zillopoly is Ownable, ReentrancyGuard {
         address indexed player,
         bytes32 indexed listingId,
         uint256 displayedPrice,
+        bytes32 priceCommitment,
+        uint256 guessDeadline,
         uint256 timestamp
     );
 
     event GuessMade(
         uint256 indexed gameId,
         address indexed player,
-        bool higherOrLower
+        GameMode mode,
+        bool higherOrLower,
+        uint256 priceGuess
     );
 
     event BetSettled(
@@ -75,73 +204,214 @@ contract Zillopoly is Ownable, ReentrancyGuard {
         address indexed player,
         uint256 displayedPrice,
         uint256 actualPrice,
+        GameMode mode,
         bool higherOrLower,
+        uint256 priceGuess,
+        uint256 stake,
         bool won,
         uint256 payout
     );
 
-    constructor(address _hoboToken) Ownable(msg.sender) {
+    event Refunded(
+        uint256 indexed gameId,
+        address indexed player,
+        GameStage fromStage,
+        uint256 amount
+    );
+
+    event GameForfeited(uint256 indexed gameId, address indexed player, address indexed caller);
+
+    event AttestationSignerUpdated(address indexed signer, bool allowed);
+
+    event AttestationRequirementUpdated(bool required);
+
+    event EmergencyShutdown(address indexed admin, uint256 timestamp);
+
+    event StakeLimitsUpdated(uint256 minStake, uint256 maxStake);
+
+    event RefundTimeoutUpdated(uint256 refundTimeout);
+
+    event GuessWindowUpdated(uint256 guessWindow);
+
+    event MaxBatchSizeUpdated(uint256 maxBatchSize);
+
+    event PayoutConfigUpdated(uint256 payoutMultiplierBps, TiePolicy tiePolicy);
+
+    /**
+     * @dev The deployer starts with every role and can hand them out afterwards
+     * @param _hoboToken Address of the HOBO token
+     */
+    constructor(address _hoboToken) EIP712("Zillopoly", "1") {
         hoboToken = IERC20(_hoboToken);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ORACLE_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
     }
 
     /**
-     * @dev Create batch of 10 empty games
-     * Player deposits 10,000 HOBO and receives 10 game slots
+     * @dev Create batch of 10 (BATCH_SIZE) empty higher/lower games, or maxBatchSize if the admin lowered it
+     * Player deposits the per-game stake for each game and receives as many game slots
      * CRE will initialize these games with listing data
+     * @param stake HOBO staked on each game, between minStake and maxStake
+     */
+    function startGame(uint256 stake) external nonReentrant whenNotPaused returns (uint256, uint256) {
+        uint256 count = BATCH_SIZE < maxBatchSize ? BATCH_SIZE : maxBatchSize;
+        return _startGame(stake, count, GameMode.HigherLower);
+    }
+
+    /**
+     * @dev Create batch of `count` empty higher/lower games
+     * Player deposits count x the per-game stake and receives count game slots
+     * @param stake HOBO staked on each game, between minStake and maxStake
+     * @param count Number of games, between 1 and maxBatchSize
      */
-    function startGame() external nonReentrant returns (uint256, uint256) {
-        // Transfer 10,000 HOBO from player
+    function startGame(uint256 stake, uint256 count) external nonReentrant whenNotPaused returns (uint256, uint256) {
+        return _startGame(stake, count, GameMode.HigherLower);
+    }
+
+    /**
+     * @dev Create batch of `count` empty games in the given mode
+     * @param stake HOBO staked on each game, between minStake and maxStake
+     * @param count Number of games, between 1 and maxBatchSize
+     * @param mode How the player will guess each game
+     */
+    function startGame(
+        uint256 stake,
+        uint256 count,
+        GameMode mode
+    ) external nonReentrant whenNotPaused returns (uint256, uint256) {
+        return _startGame(stake, count, mode);
+    }
+
+    /**
+     * @dev Create a batch of empty games for msg.sender
+     * @param stake HOBO staked on each game
+     * @param count Number of games
+     * @param mode Game mode of every game in the batch
+     */
+    function _startGame(uint256 stake, uint256 count, GameMode mode) private returns (uint256, uint256) {
+        require(count > 0 && count <= maxBatchSize, "Invalid batch size");
+        require(stake >= minStake, "Stake below minimum");
+        require(stake <= maxStake, "Stake above maximum");
+
+        // Transfer the whole batch's stake from player
         require(
-            hoboToken.transferFrom(msg.sender, address(this), BATCH_COST),
+            hoboToken.transferFrom(msg.sender, address(this), stake * count),
             "Transfer failed"
         );
 
+        // Reserve the worst-case payout of every new game
+        totalLiability += _maxPayout(stake, mode, payoutMultiplierBps) * count;
+        require(hoboToken.balanceOf(address(this)) >= totalLiability, "House cannot cover payouts");
+
         uint256 startGameId = nextGameId;
 
-        // Create 10 empty game slots
-        for (uint256 i = 0; i < BATCH_SIZE; i++) {
-            Listing memory newListing = Listing({
+        // Create the empty game slots
+        uint256[] storage gameIds = playerGameIds[msg.sender];
+        for (uint256 i = 0; i < count; i++) {
+            gameById[nextGameId] = Listing({
                 gameId: nextGameId,
                 displayedPrice: 0,           // Will be set by CRE
                 actualPrice: 0,
+                mode: mode,
                 higherOrLower: false,
+                priceGuess: 0,
                 listingId: bytes32(0),       // Will be set by CRE
+                priceCommitment: bytes32(0), // Will be set by CRE
                 player: msg.sender,
+                stake: stake,
+                payoutMultiplierBps: payoutMultiplierBps,
+                tiePolicy: tiePolicy,
                 timestamp: block.timestamp,
+                guessDeadline: 0,            // Will be set at initialization
+                guessedAt: 0,
                 stage: GameStage.NotStarted,
                 won: false,
                 payout: 0
             });
-
-            // Store the listing
-            playerListings[msg.sender].push(newListing);
-            gameById[nextGameId] = newListing;
-            allGames.push(newListing);
+            gameIds.push(nextGameId);
 
             nextGameId++;
         }
 
         uint256 endGameId = nextGameId - 1;
 
-        emit BatchGamesCreated(msg.sender, startGameId, endGameId, block.timestamp);
+        emit BatchGamesCreated(msg.sender, startGameId, endGameId, stake, mode, block.timestamp);
 
         return (startGameId, endGameId);
     }
 
     /**
-     * @dev Initialize a game with listing data (called by owner/CRE)
+     * @dev Initialize a game with listing data (called by oracle/CRE)
      * @param gameId The game ID to initialize
      * @param listingId Unique identifier for the listing
      * @param displayedPrice The price shown to the player
+     * @param priceCommitment Commitment to the actual price, see computePriceCommitment
      */
     function initializeGame(
         uint256 gameId,
         bytes32 listingId,
-        uint256 displayedPrice
-    ) external onlyOwner nonReentrant {
+        uint256 displayedPrice,
+        bytes32 priceCommitment
+    ) external onlyRole(ORACLE_ROLE) nonReentrant {
+        require(!attestationRequired, "Attestation required");
+        _initializeGame(gameId, listingId, displayedPrice, priceCommitment);
+    }
+
+    /**
+     * @dev Initialize a game with listing data attested by a registered signer; callable by anyone
+     * The signature is an EIP-712 ListingAttestation over every argument except the signature,
+     * under this contract's domain (name "Zillopoly", version "1")
+     * @param gameId The game ID to initialize
+     * @param listingId Unique identifier for the listing
+     * @param displayedPrice The price shown to the player
+     * @param priceCommitment Commitment to the actual price, see computePriceCommitment
+     * @param expiry Timestamp after which the attestation can no longer be used
+     * @param signature Attestation signer's signature
+     */
+    function initializeGameWithAttestation(
+        uint256 gameId,
+        bytes32 listingId,
+        uint256 displayedPrice,
+        bytes32 priceCommitment,
+        uint256 expiry,
+        bytes calldata signature
+    ) external nonReentrant {
+        require(block.timestamp <= expiry, "Attestation expired");
+
+        bytes32 structHash = keccak256(abi.encode(
+            LISTING_ATTESTATION_TYPEHASH,
+            gameId,
+            listingId,
+            displayedPrice,
+            priceCommitment,
+            expiry
+        ));
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        require(isAttestationSigner[signer], "Invalid attestation signer");
+
+        _initializeGame(gameId, listingId, displayedPrice, priceCommitment);
+    }
+
+    /**
+     * @dev Set a game's listing data and open its guess window
+     * @param gameId The game ID to initialize
+     * @param listingId Unique identifier for the listing
+     * @param displayedPrice The price shown to the player
+     * @param priceCommitment Commitment to the actual price
+     */
+    function _initializeGame(
+        uint256 gameId,
+        bytes32 listingId,
+        uint256 displayedPrice,
+        bytes32 priceCommitment
+    ) private {
+        require(!isShutdown, "Game is shut down");
         require(gameId > 0 && gameId < nextGameId, "Invalid game ID");
         require(listingId != bytes32(0), "Invalid listing ID");
         require(displayedPrice > 0, "Displayed price must be > 0");
+        require(priceCommitment != bytes32(0), "Invalid price commitment");
 
         Listing storage game = gameById[gameId];
         require(game.stage == GameStage.NotStarted, "Game already initialized");
@@ -149,120 +419,534 @@ contract Zillopoly is Ownable, ReentrancyGuard {
         // Set listing data
         game.listingId = listingId;
         game.displayedPrice = displayedPrice;
+        game.priceCommitment = priceCommitment;
+        game.guessDeadline = block.timestamp + guessWindow;
         game.stage = GameStage.Initialized;
+        pausedDurationAtInitialization[gameId] = _pausedDuration();
 
-        // Update in all storage locations
-        _updateListingInArrays(gameId, game);
+        emit GameInitialized(
+            gameId,
+            game.player,
+            listingId,
+            displayedPrice,
+            priceCommitment,
+            game.guessDeadline,
+            block.timestamp
+        );
+    }
 
-        emit GameInitialized(gameId, game.player, listingId, displayedPrice, block.timestamp);
+    /**
+     * @dev STAGE 2: Player makes their guess in a higher/lower game
+     * @param gameId The game ID
+     * @param isHigher True if player thinks actual price is higher, false if lower
+     */
+    function makeGuess(uint256 gameId, bool isHigher) external nonReentrant whenNotPaused {
+        _makeGuess(gameId, isHigher);
     }
 
     /**
-     * @dev STAGE 2: Player makes their guess
+     * @dev STAGE 2: Player makes their guesses in several higher/lower games at once
+     * Each game is validated as in makeGuess and emits its own GuessMade; any invalid game reverts the batch
+     * Bounded independently of maxBatchSize, so lowering it never stops a player guessing an earlier batch at once
+     * @param gameIds The game IDs, at most MAX_GUESS_BATCH
+     * @param isHigher The guess for each game, in the same order
+     */
+    function makeGuesses(uint256[] calldata gameIds, bool[] calldata isHigher) external nonReentrant whenNotPaused {
+        require(gameIds.length > 0 && gameIds.length <= MAX_GUESS_BATCH, "Invalid batch size");
+        require(gameIds.length == isHigher.length, "Array length mismatch");
+
+        for (uint256 i = 0; i < gameIds.length; i++) {
+            _makeGuess(gameIds[i], isHigher[i]);
+        }
+    }
+
+    /**
+     * @dev STAGE 2: Player guesses the actual price in a price-estimate game
+     * @param gameId The game ID
+     * @param priceGuess The player's estimate of the actual price
+     */
+    function makePriceGuess(uint256 gameId, uint256 priceGuess) external nonReentrant whenNotPaused {
+        _makePriceGuess(gameId, priceGuess);
+    }
+
+    /**
+     * @dev STAGE 2: Player guesses the actual price in several price-estimate games at once
+     * @param gameIds The game IDs, at most MAX_GUESS_BATCH
+     * @param priceGuesses The estimate for each game, in the same order
+     */
+    function makePriceGuesses(
+        uint256[] calldata gameIds,
+        uint256[] calldata priceGuesses
+    ) external nonReentrant whenNotPaused {
+        require(gameIds.length > 0 && gameIds.length <= MAX_GUESS_BATCH, "Invalid batch size");
+        require(gameIds.length == priceGuesses.length, "Array length mismatch");
+
+        for (uint256 i = 0; i < gameIds.length; i++) {
+            _makePriceGuess(gameIds[i], priceGuesses[i]);
+        }
+    }
+
+    /**
+     * @dev Record msg.sender's higher/lower guess
      * @param gameId The game ID
      * @param isHigher True if player thinks actual price is higher, false if lower
      */
-    function makeGuess(uint256 gameId, bool isHigher) external nonReentrant {
+    function _makeGuess(uint256 gameId, bool isHigher) private {
+        Listing storage game = _guessableGame(gameId, GameMode.HigherLower);
+
+        // Set the player's guess
+        game.higherOrLower = isHigher;
+        game.guessedAt = block.timestamp;
+        game.stage = GameStage.GuessSubmitted;
+
+        emit GuessMade(gameId, msg.sender, GameMode.HigherLower, isHigher, 0);
+    }
+
+    /**
+     * @dev Record msg.sender's price-estimate guess
+     * @param gameId The game ID
+     * @param priceGuess The player's estimate of the actual price
+     */
+    function _makePriceGuess(uint256 gameId, uint256 priceGuess) private {
+        require(priceGuess > 0, "Price guess must be > 0");
+        Listing storage game = _guessableGame(gameId, GameMode.PriceEstimate);
+
+        // Set the player's guess
+        game.priceGuess = priceGuess;
+        game.guessedAt = block.timestamp;
+        game.stage = GameStage.GuessSubmitted;
+
+        emit GuessMade(gameId, msg.sender, GameMode.PriceEstimate, false, priceGuess);
+    }
+
+    /**
+     * @dev Load a game msg.sender can guess on
+     * @param gameId The game ID
+     * @param mode The mode the guess is made in
+     */
+    function _guessableGame(uint256 gameId, GameMode mode) private view returns (Listing storage game) {
         require(gameId > 0 && gameId < nextGameId, "Invalid game ID");
 
-        Listing storage game = gameById[gameId];
+        game = gameById[gameId];
         require(game.player == msg.sender, "Not your game");
         require(game.stage == GameStage.Initialized, "Game not in guess stage");
+        require(game.mode == mode, "Wrong game mode");
+        require(block.timestamp <= getGuessDeadline(gameId), "Guess deadline passed");
+    }
 
-        // Set the player's guess
-        game.higherOrLower = isHigher;
-        game.stage = GameStage.GuessSubmitted;
+    /**
+     * @dev Forfeit a game whose player missed the guess deadline; callable by anyone
+     * The stake stays with the house and the game's reservation is released.
+     * Blocked while paused, since players cannot guess then either.
+     * @param gameId The game ID
+     */
+    function forfeitExpiredGame(uint256 gameId) external nonReentrant whenNotPaused {
+        require(gameId > 0 && gameId < nextGameId, "Invalid game ID");
+
+        Listing storage game = gameById[gameId];
+        require(game.stage == GameStage.Initialized, "Game not in guess stage");
+        require(block.timestamp > getGuessDeadline(gameId), "Guess deadline not passed");
+
+        game.stage = GameStage.Forfeited;
+        totalLiability -= _maxPayout(game.stake, game.mode, game.payoutMultiplierBps);
+
+        emit GameForfeited(gameId, game.player, msg.sender);
+    }
+
+    /**
+     * @dev STAGE 3: Oracle reveals actual price and settles the bet
+     * @param gameId The game ID
+     * @param actualPrice The real price of the listing
+     * @param salt The salt used when committing to the actual price
+     */
+    function settleBet(uint256 gameId, uint256 actualPrice, bytes32 salt) external onlyRole(ORACLE_ROLE) nonReentrant {
+        require(!isShutdown, "Game is shut down");
+        _settleBet(gameId, actualPrice, salt);
+    }
+
+    /**
+     * @dev STAGE 3: Oracle settles several bets at once
+     * Games already finished (settled by an earlier call, refunded or forfeited meanwhile) are
+     * skipped, so overlapping batches do not revert; any other invalid game, including one not
+     * guessed yet, reverts the batch
+     * @param gameIds The game IDs
+     * @param actualPrices The real price of each game's listing, in the same order
+     * @param salts The salt of each game's price commitment, in the same order
+     */
+    function settleBets(
+        uint256[] calldata gameIds,
+        uint256[] calldata actualPrices,
+        bytes32[] calldata salts
+    ) external onlyRole(ORACLE_ROLE) nonReentrant {
+        require(!isShutdown, "Game is shut down");
+        require(gameIds.length == actualPrices.length && gameIds.length == salts.length, "Array length mismatch");
 
-        // Update in all storage locations
-        _updateListingInArrays(gameId, game);
+        for (uint256 i = 0; i < gameIds.length; i++) {
+            require(gameIds[i] > 0 && gameIds[i] < nextGameId, "Invalid game ID");
 
-        emit GuessMade(gameId, msg.sender, isHigher);
+            GameStage stage = gameById[gameIds[i]].stage;
+            if (stage == GameStage.Settled || stage == GameStage.Refunded || stage == GameStage.Forfeited) {
+                continue;
+            }
+            _settleBet(gameIds[i], actualPrices[i], salts[i]);
+        }
     }
 
     /**
-     * @dev STAGE 3: Owner sets actual price and settles the bet
+     * @dev Reveal a game's actual price, pay out and emit BetSettled
      * @param gameId The game ID
      * @param actualPrice The real price of the listing
+     * @param salt The salt used when committing to the actual price
      */
-    function settleBet(uint256 gameId, uint256 actualPrice) external onlyOwner nonReentrant {
+    function _settleBet(uint256 gameId, uint256 actualPrice, bytes32 salt) private {
         require(gameId > 0 && gameId < nextGameId, "Invalid game ID");
         require(actualPrice > 0, "Actual price must be > 0");
 
         Listing storage game = gameById[gameId];
         require(game.stage == GameStage.GuessSubmitted, "Game not ready for settlement");
+        require(
+            computePriceCommitment(actualPrice, salt) == game.priceCommitment,
+            "Price does not match commitment"
+        );
 
         game.actualPrice = actualPrice;
 
         // Determine if player won
         bool playerWon = false;
-        if (game.higherOrLower && actualPrice > game.displayedPrice) {
+        bool push = false;
+        uint256 payoutBps = game.payoutMultiplierBps;
+        if (game.mode == GameMode.PriceEstimate) {
+            // Any tier counts as a win, paid according to the tier reached
+            payoutBps = getEstimatePayoutBps(game.priceGuess, actualPrice, game.payoutMultiplierBps);
+            playerWon = payoutBps > 0;
+        } else if (game.higherOrLower && actualPrice > game.displayedPrice) {
             // Guessed higher and actual is higher
             playerWon = true;
         } else if (!game.higherOrLower && actualPrice < game.displayedPrice) {
             // Guessed lower and actual is lower
             playerWon = true;
         } else if (actualPrice == game.displayedPrice) {
-            // Edge case: prices are equal, player wins
-            playerWon = true;
+            // Edge case: prices are equal, resolved by the game's tie policy
+            playerWon = game.tiePolicy == TiePolicy.Win;
+            push = game.tiePolicy == TiePolicy.Push;
         }
 
         game.won = playerWon;
         game.stage = GameStage.Settled;
+        totalLiability -= _maxPayout(game.stake, game.mode, game.payoutMultiplierBps);
 
         // Calculate payout
         if (playerWon) {
-            // Player wins 2x their bet
-            game.payout = GAME_COST * 2;
-            require(hoboToken.transfer(game.player, game.payout), "Payout failed");
+            // Player wins the payout multiple of their stake
+            game.payout = game.stake * payoutBps / 10_000;
+        } else if (push) {
+            // Push: stake is returned, won stays false
+            game.payout = game.stake;
         } else {
             // Player loses, bet stays in contract
             game.payout = 0;
         }
 
-        // Update in all storage locations
-        _updateListingInArrays(gameId, game);
+        _recordSettlement(game.player, game.stake, playerWon, push, game.payout);
+
+        if (game.payout > 0) {
+            require(hoboToken.transfer(game.player, game.payout), "Payout failed");
+        }
 
         emit BetSettled(
             gameId,
             game.player,
             game.displayedPrice,
             actualPrice,
+            game.mode,
             game.higherOrLower,
+            game.priceGuess,
+            game.stake,
             playerWon,
             game.payout
         );
     }
 
     /**
-     * @dev Update listing in all storage arrays
+     * @dev Player reclaims the stake of a game the oracle never picked up
+     * Allowed refundTimeout after creation for games never initialized,
+     * or refundTimeout after the guess for games never settled
      * @param gameId The game ID
-     * @param updatedGame The updated game data
-     */
-    function _updateListingInArrays(uint256 gameId, Listing storage updatedGame) private {
-        // Update in player listings
-        Listing[] storage playerGames = playerListings[updatedGame.player];
-        for (uint256 i = 0; i < playerGames.length; i++) {
-            if (playerGames[i].gameId == gameId) {
-                playerGames[i] = updatedGame;
-                break;
-            }
+     */
+    function claimRefund(uint256 gameId) external nonReentrant {
+        require(gameId > 0 && gameId < nextGameId, "Invalid game ID");
+
+        Listing storage game = gameById[gameId];
+        require(game.player == msg.sender, "Not your game");
+
+        GameStage fromStage = game.stage;
+        if (fromStage == GameStage.NotStarted) {
+            require(block.timestamp >= game.timestamp + refundTimeout, "Refund not yet available");
+        } else if (fromStage == GameStage.GuessSubmitted) {
+            require(block.timestamp >= game.guessedAt + refundTimeout, "Refund not yet available");
+        } else {
+            revert("Game not refundable");
         }
 
-        // Update in all games
-        for (uint256 i = 0; i < allGames.length; i++) {
-            if (allGames[i].gameId == gameId) {
-                allGames[i] = updatedGame;
-                break;
+        _refund(gameId, game);
+    }
+
+    /**
+     * @dev After an emergency shutdown, player withdraws the stake of any unsettled game
+     * @param gameId The game ID
+     */
+    function emergencyWithdraw(uint256 gameId) external nonReentrant {
+        require(isShutdown, "Game is not shut down");
+        require(gameId > 0 && gameId < nextGameId, "Invalid game ID");
+
+        Listing storage game = gameById[gameId];
+        require(game.player == msg.sender, "Not your game");
+        require(
+            game.stage == GameStage.NotStarted ||
+            game.stage == GameStage.Initialized ||
+            game.stage == GameStage.GuessSubmitted,
+            "Game not refundable"
+        );
+
+        _refund(gameId, game);
+    }
+
+    /**
+     * @dev Return a game's stake to its player and release its reservation
+     * @param gameId The game ID
+     * @param game The game, in a refundable stage
+     */
+    function _refund(uint256 gameId, Listing storage game) private {
+        GameStage fromStage = game.stage;
+
+        game.stage = GameStage.Refunded;
+        game.payout = game.stake;
+        totalLiability -= _maxPayout(game.stake, game.mode, game.payoutMultiplierBps);
+
+        require(hoboToken.transfer(game.player, game.stake), "Refund failed");
+
+        emit Refunded(gameId, game.player, fromStage, game.stake);
+    }
+
+    /**
+     * @dev Add a settled game to its player's stats and the global stats
+     * @param player The game's player
+     * @param stake HOBO staked on the game
+     * @param won Whether the player won
+     * @param push Whether the game was a push (neither won nor lost)
+     * @param payout HOBO paid to the player
+     */
+    function _recordSettlement(address player, uint256 stake, bool won, bool push, uint256 payout) private {
+        PlayerStats storage stats = playerStats[player];
+
+        if (stats.gamesPlayed == 0) {
+            globalStats.playerCount++;
+        }
+
+        stats.gamesPlayed++;
+        stats.totalWagered += stake;
+        stats.totalPaidOut += payout;
+        globalStats.gamesPlayed++;
+        globalStats.totalWagered += stake;
+        globalStats.totalPaidOut += payout;
+
+        if (won) {
+            stats.gamesWon++;
+            globalStats.gamesWon++;
+            stats.currentWinStreak++;
+            if (stats.currentWinStreak > stats.bestWinStreak) {
+                stats.bestWinStreak = stats.currentWinStreak;
             }
+        } else if (!push) {
+            stats.gamesLost++;
+            globalStats.gamesLost++;
+            stats.currentWinStreak = 0;
         }
     }
 
+    /**
+     * @dev Worst-case payout of a game: the win payout, which is never below the stake a push returns
+     * Price-estimate games are bounded by their top tier, scaled by the multiplier
+     * @param stake HOBO staked on the game
+     * @param mode The game's mode
+     * @param multiplierBps The game's payout multiplier in basis points
+     */
+    function _maxPayout(uint256 stake, GameMode mode, uint256 multiplierBps) private pure returns (uint256) {
+        if (mode == GameMode.PriceEstimate) {
+            return stake * ESTIMATE_TIER1_PAYOUT_BPS * multiplierBps / MAX_PAYOUT_MULTIPLIER_BPS / 10_000;
+        }
+        return stake * multiplierBps / 10_000;
+    }
+
+    /**
+     * @dev Payout of a price-estimate guess in basis points of the stake, 0 if outside every tier
+     * @param priceGuess The player's estimate
+     * @param actualPrice The real price of the listing
+     * @param multiplierBps The game's payout multiplier; the tiers are scaled by it relative to the maximum
+     */
+    function getEstimatePayoutBps(
+        uint256 priceGuess,
+        uint256 actualPrice,
+        uint256 multiplierBps
+    ) public pure returns (uint256) {
+        uint256 distance = priceGuess > actualPrice ? priceGuess - actualPrice : actualPrice - priceGuess;
+
+        // Every tier is within 100% of the actual price; returning early also keeps
+        // distance * 10_000 below from overflowing on absurdly large guesses
+        if (distance > actualPrice) {
+            return 0;
+        }
+
+        uint256 tierBps;
+        if (distance * 10_000 <= actualPrice * ESTIMATE_TIER1_DISTANCE_BPS) {
+            tierBps = ESTIMATE_TIER1_PAYOUT_BPS;
+        } else if (distance * 10_000 <= actualPrice * ESTIMATE_TIER2_DISTANCE_BPS) {
+            tierBps = ESTIMATE_TIER2_PAYOUT_BPS;
+        } else if (distance * 10_000 <= actualPrice * ESTIMATE_TIER3_DISTANCE_BPS) {
+            tierBps = ESTIMATE_TIER3_PAYOUT_BPS;
+        }
+        return tierBps * multiplierBps / MAX_PAYOUT_MULTIPLIER_BPS;
+    }
+
+    /**
+     * @dev Compute the commitment to an actual price
+     * Off-chain services must produce the same hash when initializing a game
+     * @param actualPrice The real price of the listing
+     * @param salt Secret salt hiding the price until settlement
+     */
+    function computePriceCommitment(uint256 actualPrice, bytes32 salt) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(actualPrice, salt));
+    }
+
     /**
      * @dev Get all listings for a specific player
      * @param player Address of the player
      */
     function getPlayerListings(address player) external view returns (Listing[] memory) {
-        return playerListings[player];
+        uint256[] storage gameIds = playerGameIds[player];
+        Listing[] memory listings = new Listing[](gameIds.length);
+
+        for (uint256 i = 0; i < gameIds.length; i++) {
+            listings[i] = gameById[gameIds[i]];
+        }
+
+        return listings;
+    }
+
+    /**
+     * @dev Get the IDs of all games for a specific player
+     * @param player Address of the player
+     */
+    function getPlayerGameIds(address player) external view returns (uint256[] memory) {
+        return playerGameIds[player];
+    }
+
+    /**
+     * @dev Get one page of a player's games
+     * @param player Address of the player
+     * @param offset Number of games to skip
+     * @param limit Max games to return (1 to MAX_PAGE_SIZE)
+     * @param newestFirst Order from the most recent game instead of the oldest
+     * @return page The games on this page
+     * @return total Total number of games for the player
+     */
+    function getPlayerListingsPage(
+        address player,
+        uint256 offset,
+        uint256 limit,
+        bool newestFirst
+    ) external view returns (Listing[] memory page, uint256 total) {
+        require(limit > 0 && limit <= MAX_PAGE_SIZE, "Invalid page size");
+
+        uint256[] storage gameIds = playerGameIds[player];
+        total = gameIds.length;
+        page = new Listing[](_pageLength(offset, limit, total));
+
+        for (uint256 i = 0; i < page.length; i++) {
+            uint256 position = offset + i;
+            page[i] = gameById[gameIds[newestFirst ? total - 1 - position : position]];
+        }
+    }
+
+    /**
+     * @dev Get one page of all games
+     * @param offset Number of games to skip
+     * @param limit Max games to return (1 to MAX_PAGE_SIZE)
+     * @param newestFirst Order from the most recent game instead of the oldest
+     * @return page The games on this page
+     * @return total Total number of games
+     */
+    function getGamesPage(
+        uint256 offset,
+        uint256 limit,
+        bool newestFirst
+    ) external view returns (Listing[] memory page, uint256 total) {
+        require(limit > 0 && limit <= MAX_PAGE_SIZE, "Invalid page size");
+
+        total = nextGameId - 1;
+        page = new Listing[](_pageLength(offset, limit, total));
+
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = gameById[_gameIdAt(offset + i, total, newestFirst)];
+        }
+    }
+
+    /**
+     * @dev Get one page of games in a specific stage
+     * Scans at most MAX_STAGE_SCAN games per call, so a page can hold fewer than
+     * `limit` games even when more exist; keep calling with nextOffset until it
+     * reaches getTotalGames()
+     * @param stage The game stage to filter by
+     * @param offset Position (in all games, in the chosen order) to resume scanning from
+     * @param limit Max games to return (1 to MAX_PAGE_SIZE)
+     * @param newestFirst Scan from the most recent game instead of the oldest
+     * @return page The matching games found
+     * @return nextOffset Position to pass as offset for the next page
+     */
+    function getGamesByStagePage(
+        GameStage stage,
+        uint256 offset,
+        uint256 limit,
+        bool newestFirst
+    ) external view returns (Listing[] memory page, uint256 nextOffset) {
+        require(limit > 0 && limit <= MAX_PAGE_SIZE, "Invalid page size");
+
+        uint256 total = nextGameId - 1;
+        uint256 scanEnd = offset + MAX_STAGE_SCAN < total ? offset + MAX_STAGE_SCAN : total;
+        uint256[] memory matchingIds = new uint256[](limit);
+        uint256 found = 0;
+
+        nextOffset = offset;
+        while (nextOffset < scanEnd && found < limit) {
+            uint256 gameId = _gameIdAt(nextOffset, total, newestFirst);
+            if (gameById[gameId].stage == stage) {
+                matchingIds[found++] = gameId;
+            }
+            nextOffset++;
+        }
+
+        // Copy only the games found, so the page has no empty trailing entries
+        page = new Listing[](found);
+        for (uint256 i = 0; i < found; i++) {
+            page[i] = gameById[matchingIds[i]];
+        }
+    }
+
+    /**
+     * @dev Number of items on a page starting at offset
+     */
+    function _pageLength(uint256 offset, uint256 limit, uint256 total) private pure returns (uint256) {
+        if (offset >= total) {
+            return 0;
+        }
+        return total - offset < limit ? total - offset : limit;
+    }
+
+    /**
+     * @dev Game ID at a position in creation order (or reverse creation order)
+     */
+    function _gameIdAt(uint256 position, uint256 total, bool newestFirst) private pure returns (uint256) {
+        return newestFirst ? total - position : position + 1;
     }
 
     /**
@@ -274,11 +958,46 @@ contract Zillopoly is Ownable, ReentrancyGuard {
         return gameById[gameId];
     }
 
+    /**
+     * @dev Last moment the player can guess: the deadline set at initialization,
+     * extended by the time the contract has been paused since then (0 before initialization)
+     * @param gameId The game ID
+     */
+    function getGuessDeadline(uint256 gameId) public view returns (uint256) {
+        uint256 guessDeadline = gameById[gameId].guessDeadline;
+        if (guessDeadline == 0) {
+            return 0;
+        }
+        return guessDeadline + _pausedDuration() - pausedDurationAtInitialization[gameId];
+    }
+
+    /**
+     * @dev Total time spent paused, including the current pause
+     */
+    function _pausedDuration() private view returns (uint256) {
+        return paused() ? totalPausedDuration + block.timestamp - pausedAt : totalPausedDuration;
+    }
+
     /**
      * @dev Get total number of games created
      */
     function getTotalGames() external view returns (uint256) {
-        return allGames.length;
+        return nextGameId - 1;
+    }
+
+    /**
+     * @dev Get a player's record across their settled games
+     * @param player Address of the player
+     */
+    function getPlayerStats(address player) external view returns (PlayerStats memory) {
+        return playerStats[player];
+    }
+
+    /**
+     * @dev Get the record of every settled game across all players
+     */
+    function getGlobalStats() external view returns (GlobalStats memory) {
+        return globalStats;
     }
 
     /**
@@ -288,10 +1007,10 @@ contract Zillopoly is Ownable, ReentrancyGuard {
      */
     function getPlayerGamesByStage(address player, GameStage stage) external view returns (uint256) {
         uint256 count = 0;
-        Listing[] memory listings = playerListings[player];
+        uint256[] storage gameIds = playerGameIds[player];
 
-        for (uint256 i = 0; i < listings.length; i++) {
-            if (listings[i].stage == stage) {
+        for (uint256 i = 0; i < gameIds.length; i++) {
+            if (gameById[gameIds[i]].stage == stage) {
                 count++;
             }
         }
@@ -300,11 +1019,128 @@ contract Zillopoly is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Owner can withdraw accumulated HOBO tokens
+     * @dev Admin sets the bounds on the per-game stake
+     * Only affects new batches; existing games keep their stake
+     * @param _minStake Minimum stake per game
+     * @param _maxStake Maximum stake per game
+     */
+    function setStakeLimits(uint256 _minStake, uint256 _maxStake) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_minStake > 0, "Min stake must be > 0");
+        require(_minStake <= _maxStake, "Min stake must be <= max stake");
+        minStake = _minStake;
+        maxStake = _maxStake;
+        emit StakeLimitsUpdated(_minStake, _maxStake);
+    }
+
+    /**
+     * @dev Admin sets the maximum number of games per batch
+     * @param _maxBatchSize New maximum, at least 1
+     */
+    function setMaxBatchSize(uint256 _maxBatchSize) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_maxBatchSize > 0, "Max batch size must be > 0");
+        maxBatchSize = _maxBatchSize;
+        emit MaxBatchSizeUpdated(_maxBatchSize);
+    }
+
+    /**
+     * @dev Admin sets how long the oracle has before players can claim refunds
+     * Applies to all pending games, so it is bounded to keep refunds reachable
+     * @param _refundTimeout New timeout in seconds
+     */
+    function setRefundTimeout(uint256 _refundTimeout) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_refundTimeout >= 1 hours && _refundTimeout <= 30 days, "Refund timeout out of range");
+        refundTimeout = _refundTimeout;
+        emit RefundTimeoutUpdated(_refundTimeout);
+    }
+
+    /**
+     * @dev Admin sets the win payout and tie policy for games created from now on
+     * Games already created keep the values recorded when they started
+     * @param _payoutMultiplierBps Win payout in basis points of the stake, between the MIN/MAX bounds
+     * @param _tiePolicy Outcome when the actual price equals the displayed price
+     */
+    function setPayoutConfig(uint256 _payoutMultiplierBps, TiePolicy _tiePolicy) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            _payoutMultiplierBps >= MIN_PAYOUT_MULTIPLIER_BPS && _payoutMultiplierBps <= MAX_PAYOUT_MULTIPLIER_BPS,
+            "Payout multiplier out of range"
+        );
+        payoutMultiplierBps = _payoutMultiplierBps;
+        tiePolicy = _tiePolicy;
+        emit PayoutConfigUpdated(_payoutMultiplierBps, _tiePolicy);
+    }
+
+    /**
+     * @dev Admin sets how long players have to guess after a game is initialized
+     * Only affects games initialized from now on
+     * @param _guessWindow New window in seconds
+     */
+    function setGuessWindow(uint256 _guessWindow) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_guessWindow >= 1 minutes && _guessWindow <= 1 days, "Guess window out of range");
+        guessWindow = _guessWindow;
+        emit GuessWindowUpdated(_guessWindow);
+    }
+
+    /**
+     * @dev Admin registers or removes a key allowed to sign ListingAttestations
+     * @param signer The signer's address
+     * @param allowed Whether its attestations are accepted
+     */
+    function setAttestationSigner(address signer, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(signer != address(0), "Invalid signer");
+        isAttestationSigner[signer] = allowed;
+        emit AttestationSignerUpdated(signer, allowed);
+    }
+
+    /**
+     * @dev Admin requires every game to be initialized through initializeGameWithAttestation
+     * @param required Whether the oracle's unattested initializeGame is disabled
+     */
+    function setAttestationRequired(bool required) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        attestationRequired = required;
+        emit AttestationRequirementUpdated(required);
+    }
+
+    /**
+     * @dev Admin pauses new batches and guesses, e.g. while the listing API is compromised
+     * Settlement and refunds keep working so in-flight games can finish
+     */
+    function pause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _pause();
+        pausedAt = block.timestamp;
+    }
+
+    /**
+     * @dev Admin resumes the game after a pause
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!isShutdown, "Game is shut down");
+        _unpause();
+        totalPausedDuration += block.timestamp - pausedAt;
+    }
+
+    /**
+     * @dev Admin permanently shuts the game down
+     * Stops the oracle and lets players emergencyWithdraw every unsettled game
+     */
+    function emergencyShutdown() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!isShutdown, "Game is shut down");
+
+        isShutdown = true;
+        if (!paused()) {
+            _pause();
+            pausedAt = block.timestamp;
+        }
+
+        emit EmergencyShutdown(msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Treasurer can withdraw accumulated HOBO tokens
+     * Only the free balance can be withdrawn; funds reserved for pending games stay put
      * @param amount Amount to withdraw
      */
-    function withdrawFunds(uint256 amount) external onlyOwner {
-        require(amount <= hoboToken.balanceOf(address(this)), "Insufficient balance");
+    function withdrawFunds(uint256 amount) external onlyRole(TREASURER_ROLE) {
+        require(amount <= getFreeBalance(), "Insufficient free balance");
         require(hoboToken.transfer(msg.sender, amount), "Transfer failed");
     }
 
@@ -314,4 +1150,12 @@ contract Zillopoly is Ownable, ReentrancyGuard {
     function getContractBalance() external view returns (uint256) {
         return hoboToken.balanceOf(address(this));
     }
+
+    /**
+     * @dev Get the HOBO balance not reserved for pending games' worst-case payouts
+     */
+    function getFreeBalance() public view returns (uint256) {
+        uint256 balance = hoboToken.balanceOf(address(this));
+        return balance > totalLiability ? balance - totalLiability : 0;
+    }
 }
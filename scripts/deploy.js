@@ -34,6 +34,22 @@ async function main() {
   const zillopolyAddress = await zillopoly.getAddress();
   console.log("Zillopoly deployed to:", zillopolyAddress);
 
+  // Let the CRE workflow signer initialize and settle games without being able to withdraw funds
+  if (process.env.ORACLE_ADDRESS) {
+    console.log("\nGranting ORACLE_ROLE to", process.env.ORACLE_ADDRESS);
+    const grantTx = await zillopoly.grantRole(await zillopoly.ORACLE_ROLE(), process.env.ORACLE_ADDRESS);
+    await grantTx.wait();
+    console.log("Oracle role granted");
+  }
+
+  // Let games be initialized with listings signed by the API's attestation key (ORACLE_SIGNER_KEY)
+  if (process.env.ATTESTATION_SIGNER) {
+    console.log("\nRegistering attestation signer", process.env.ATTESTATION_SIGNER);
+    const signerTx = await zillopoly.setAttestationSigner(process.env.ATTESTATION_SIGNER, true);
+    await signerTx.wait();
+    console.log("Attestation signer registered");
+  }
+
   // Transfer some HOBO to contract for payouts (10% of initial supply)
   // Note: Zillopoly contract doesn't have fundHouse function
   // The contract accumulates funds from losing bets automatically, but we seed it initially
@@ -51,6 +67,9 @@ async function main() {
   console.log("  Max Supply:", hre.ethers.formatEther(await hobo.MAX_SUPPLY()), "HOBO");
   console.log("  Total Supply:", hre.ethers.formatEther(await hobo.totalSupply()), "HOBO");
   console.log("Zillopoly:", zillopolyAddress);
+  console.log("  Admin/Treasurer:", deployer.address);
+  console.log("  Oracle:", process.env.ORACLE_ADDRESS || deployer.address);
+  console.log("  Attestation signer:", process.env.ATTESTATION_SIGNER || "none");
   console.log("Contract Balance:", hre.ethers.formatEther(await zillopoly.getContractBalance()), "HOBO");
   console.log("Deployer Balance:", hre.ethers.formatEther(await hobo.balanceOf(deployer.address)), "HOBO");
 
@@ -6,6 +6,14 @@ async function main() {
   const HOBO_ADDRESS = process.env.HOBO_TOKEN;
   const ZILLOPOLY_ADDRESS = "0xaB6F3d4c4bd68c8969052312050aD7302c4bbbDa";
   const PLAYER_PRIVATE_KEY = process.env.PLAYER_KEY;
+  const STAKE = hre.ethers.parseEther(process.env.STAKE || "1000"); // HOBO staked per game
+  const GAME_COUNT = process.env.GAME_COUNT; // Number of games (defaults to the contract's BATCH_SIZE, capped at maxBatchSize)
+  const GAME_MODES = ["HigherLower", "PriceEstimate"]; // Mirrors Zillopoly.GameMode
+  const GAME_MODE = process.env.GAME_MODE || "HigherLower";
+
+  if (!GAME_MODES.includes(GAME_MODE)) {
+    throw new Error(`GAME_MODE must be one of ${GAME_MODES.join(", ")}`);
+  }
 
   if (!PLAYER_PRIVATE_KEY) {
     throw new Error("PLAYER_KEY not found in .env");
@@ -19,6 +27,13 @@ async function main() {
   // Get contract instances
   const hobo = await hre.ethers.getContractAt("Hobo", HOBO_ADDRESS, player);
   const zillopoly = await hre.ethers.getContractAt("Zillopoly", ZILLOPOLY_ADDRESS, player);
+  const maxBatchSize = await zillopoly.maxBatchSize();
+  const defaultCount = await zillopoly.BATCH_SIZE();
+  const gameCount = GAME_COUNT ? BigInt(GAME_COUNT) : (defaultCount < maxBatchSize ? defaultCount : maxBatchSize);
+  if (gameCount < 1n || gameCount > maxBatchSize) {
+    throw new Error(`GAME_COUNT must be between 1 and ${maxBatchSize}`);
+  }
+  const batchCost = STAKE * gameCount;
 
   // Check player balances
   const hoboBalance = await hobo.balanceOf(player.address);
@@ -30,7 +45,7 @@ async function main() {
   console.log("\n=== Step 1: Approve Zillopoly to spend HOBO ===");
   const currentAllowance = await hobo.allowance(player.address, ZILLOPOLY_ADDRESS);
 
-  if (currentAllowance < hre.ethers.parseEther("10000")) {
+  if (currentAllowance < batchCost) {
     console.log("Approving max HOBO for Zillopoly...");
     const approveTx = await hobo.approve(ZILLOPOLY_ADDRESS, hre.ethers.MaxUint256);
     console.log("Approval tx sent:", approveTx.hash);
@@ -40,10 +55,10 @@ async function main() {
     console.log("✓ Already approved");
   }
 
-  // Step 2: Start game (deposit 10,000 HOBO for 10 games)
-  console.log("\n=== Step 2: Start Game (10,000 HOBO) ===");
-  console.log("Calling startGame()...");
-  const startTx = await zillopoly.startGame();
+  // Step 2: Start game (deposit the stake for each game in the batch)
+  console.log(`\n=== Step 2: Start Game (${gameCount} games, ${hre.ethers.formatEther(batchCost)} HOBO) ===`);
+  console.log(`Calling startGame(${hre.ethers.formatEther(STAKE)} HOBO per game, ${gameCount} games, ${GAME_MODE})...`);
+  const startTx = await zillopoly["startGame(uint256,uint256,uint8)"](STAKE, gameCount, GAME_MODES.indexOf(GAME_MODE));
   console.log("Transaction sent:", startTx.hash);
   console.log("Waiting for confirmation...");
 
@@ -70,6 +85,8 @@ async function main() {
     console.log("Start Game ID:", startGameId.toString());
     console.log("End Game ID:", endGameId.toString());
     console.log("Total Games:", (endGameId - startGameId + 1n).toString());
+    console.log("Stake per Game:", hre.ethers.formatEther(parsed.args.stake), "HOBO");
+    console.log("Mode:", GAME_MODES[parsed.args.mode]);
     console.log("Timestamp:", new Date(Number(parsed.args.timestamp) * 1000).toISOString());
 
     // Step 3: Check game states
@@ -77,7 +94,7 @@ async function main() {
     for (let i = startGameId; i <= endGameId; i++) {
       const game = await zillopoly.getGame(i);
       console.log(`Game ${i}:`);
-      console.log(`  Stage: ${["NotStarted", "Initialized", "GuessSubmitted", "Settled"][game.stage]}`);
+      console.log(`  Stage: ${["NotStarted", "Initialized", "GuessSubmitted", "Settled", "Refunded", "Forfeited"][game.stage]}`);
       console.log(`  Player: ${game.player}`);
       console.log(`  Displayed Price: ${hre.ethers.formatEther(game.displayedPrice)} (should be 0 initially)`);
     }
@@ -89,9 +106,9 @@ async function main() {
     console.log("Spent:", hre.ethers.formatEther(hoboBalance - hoboBalanceAfter), "HOBO");
 
     console.log("\n=== Next Steps ===");
-    console.log("✓ 10 empty games created (IDs", startGameId.toString(), "to", endGameId.toString() + ")");
+    console.log("✓", gameCount.toString(), "empty games created (IDs", startGameId.toString(), "to", endGameId.toString() + ")");
     console.log("→ CRE will now detect the BatchGamesCreated event");
-    console.log("→ CRE will fetch 10 listings from the API");
+    console.log("→ CRE will fetch", gameCount.toString(), "listings from the API");
     console.log("→ CRE will call initializeGame() for each game");
     console.log("→ Games will transition from NotStarted to Initialized");
 
@@ -1,5 +1,7 @@
 import { expect } from "chai";
 import hre from "hardhat";
+import { anyValue } from "@nomicfoundation/hardhat-chai-matchers/withArgs.js";
+import { time } from "@nomicfoundation/hardhat-network-helpers";
 
 const { ethers } = hre;
 
@@ -249,3 +251,1301 @@ describe("Zillopoly", function () {
     });
   });
 });
+
+describe("Zillopoly game lifecycle", function () {
+  let hobo;
+  let zillopoly;
+  let owner;
+  let player1;
+  let player2;
+
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const HOUSE_FUNDING = ethers.parseEther("100000");
+  const PLAYER_TOKENS = ethers.parseEther("20000");
+  const GAME_COST = ethers.parseEther("1000");
+
+  const LISTING_ID = ethers.zeroPadValue("0x2077470586", 32);
+  const DISPLAYED_PRICE = 500000n;
+  const ACTUAL_PRICE = 550000n;
+  const SALT = ethers.id("salt");
+
+  const commit = (price, salt) =>
+    ethers.solidityPackedKeccak256(["uint256", "bytes32"], [price, salt]);
+
+  beforeEach(async function () {
+    [owner, player1, player2] = await ethers.getSigners();
+
+    const Hobo = await ethers.getContractFactory("Hobo");
+    hobo = await Hobo.deploy(INITIAL_SUPPLY);
+    await hobo.waitForDeployment();
+
+    const Zillopoly = await ethers.getContractFactory("Zillopoly");
+    zillopoly = await Zillopoly.deploy(await hobo.getAddress());
+    await zillopoly.waitForDeployment();
+
+    // Seed the contract for payouts, as scripts/deploy.js does
+    await hobo.transfer(await zillopoly.getAddress(), HOUSE_FUNDING);
+
+    await hobo.transfer(player1.address, PLAYER_TOKENS);
+    await hobo.transfer(player2.address, PLAYER_TOKENS);
+    await hobo.connect(player1).approve(await zillopoly.getAddress(), ethers.MaxUint256);
+    await hobo.connect(player2).approve(await zillopoly.getAddress(), ethers.MaxUint256);
+  });
+
+  describe("Commit-reveal", function () {
+    beforeEach(async function () {
+      await zillopoly.connect(player1).startGame(GAME_COST);
+    });
+
+    it("Should compute the same commitment as off-chain services", async function () {
+      expect(await zillopoly.computePriceCommitment(ACTUAL_PRICE, SALT)).to.equal(
+        commit(ACTUAL_PRICE, SALT)
+      );
+    });
+
+    it("Should store the commitment at initialization", async function () {
+      const commitment = commit(ACTUAL_PRICE, SALT);
+
+      await expect(zillopoly.initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commitment))
+        .to.emit(zillopoly, "GameInitialized");
+
+      const game = await zillopoly.getGame(1);
+      expect(game.priceCommitment).to.equal(commitment);
+      expect(game.actualPrice).to.equal(0);
+    });
+
+    it("Should reject an empty commitment", async function () {
+      await expect(
+        zillopoly.initializeGame(1, LISTING_ID, DISPLAYED_PRICE, ethers.ZeroHash)
+      ).to.be.revertedWith("Invalid price commitment");
+    });
+
+    it("Should settle when the revealed price matches the commitment", async function () {
+      await zillopoly.initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player1).makeGuess(1, true);
+
+      const balanceBefore = await hobo.balanceOf(player1.address);
+      await expect(zillopoly.settleBet(1, ACTUAL_PRICE, SALT))
+        .to.emit(zillopoly, "BetSettled")
+        .withArgs(1, player1.address, DISPLAYED_PRICE, ACTUAL_PRICE, 0, true, 0, GAME_COST, true, GAME_COST * 2n);
+
+      expect(await hobo.balanceOf(player1.address)).to.equal(balanceBefore + GAME_COST * 2n);
+    });
+
+    it("Should reject a revealed price that differs from the commitment", async function () {
+      await zillopoly.initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player1).makeGuess(1, true);
+
+      await expect(
+        zillopoly.settleBet(1, DISPLAYED_PRICE - 1n, SALT)
+      ).to.be.revertedWith("Price does not match commitment");
+
+      await expect(
+        zillopoly.settleBet(1, ACTUAL_PRICE, ethers.id("other salt"))
+      ).to.be.revertedWith("Price does not match commitment");
+    });
+  });
+
+  describe("Stakes", function () {
+    it("Should charge ten times the stake and record it on every game", async function () {
+      const stake = ethers.parseEther("250");
+      const balanceBefore = await hobo.balanceOf(player1.address);
+
+      await expect(zillopoly.connect(player1).startGame(stake))
+        .to.emit(zillopoly, "BatchGamesCreated")
+        .withArgs(player1.address, 1, 10, stake, 0, anyValue);
+
+      expect(await hobo.balanceOf(player1.address)).to.equal(balanceBefore - stake * 10n);
+      expect((await zillopoly.getGame(1)).stake).to.equal(stake);
+      expect((await zillopoly.getGame(10)).stake).to.equal(stake);
+    });
+
+    it("Should reject stakes outside the configured bounds", async function () {
+      await expect(
+        zillopoly.connect(player1).startGame(ethers.parseEther("99"))
+      ).to.be.revertedWith("Stake below minimum");
+
+      await zillopoly.setStakeLimits(ethers.parseEther("100"), ethers.parseEther("500"));
+
+      await expect(
+        zillopoly.connect(player1).startGame(ethers.parseEther("501"))
+      ).to.be.revertedWith("Stake above maximum");
+    });
+
+    it("Should pay out twice the game's stake", async function () {
+      const stake = ethers.parseEther("300");
+      await zillopoly.connect(player1).startGame(stake);
+      await zillopoly.initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player1).makeGuess(1, true);
+
+      const balanceBefore = await hobo.balanceOf(player1.address);
+      await zillopoly.settleBet(1, ACTUAL_PRICE, SALT);
+
+      expect(await hobo.balanceOf(player1.address)).to.equal(balanceBefore + stake * 2n);
+      expect((await zillopoly.getGame(1)).payout).to.equal(stake * 2n);
+    });
+
+    it("Should keep in-flight stakes when the limits change", async function () {
+      const stake = ethers.parseEther("1000");
+      await zillopoly.connect(player1).startGame(stake);
+
+      await expect(zillopoly.setStakeLimits(ethers.parseEther("10"), ethers.parseEther("50")))
+        .to.emit(zillopoly, "StakeLimitsUpdated")
+        .withArgs(ethers.parseEther("10"), ethers.parseEther("50"));
+
+      expect((await zillopoly.getGame(1)).stake).to.equal(stake);
+    });
+
+    it("Should validate and restrict stake limit updates", async function () {
+      await expect(zillopoly.setStakeLimits(0, 1)).to.be.revertedWith("Min stake must be > 0");
+      await expect(zillopoly.setStakeLimits(2, 1)).to.be.revertedWith("Min stake must be <= max stake");
+      await expect(
+        zillopoly.connect(player1).setStakeLimits(1, 2)
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Batch size", function () {
+    const stake = ethers.parseEther("100");
+
+    it("Should create the requested number of games", async function () {
+      await expect(zillopoly.connect(player1)["startGame(uint256,uint256)"](stake, 3))
+        .to.emit(zillopoly, "BatchGamesCreated")
+        .withArgs(player1.address, 1, 3, stake, 0, anyValue);
+
+      await expect(zillopoly.connect(player2)["startGame(uint256,uint256)"](stake, 1))
+        .to.emit(zillopoly, "BatchGamesCreated")
+        .withArgs(player2.address, 4, 4, stake, 0, anyValue);
+
+      expect(await zillopoly.getTotalGames()).to.equal(4);
+      expect((await zillopoly.getPlayerListings(player1.address)).length).to.equal(3);
+    });
+
+    it("Should charge the stake once per game", async function () {
+      const balanceBefore = await hobo.balanceOf(player1.address);
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](stake, 4);
+
+      expect(await hobo.balanceOf(player1.address)).to.equal(balanceBefore - stake * 4n);
+    });
+
+    it("Should reject empty or oversized batches", async function () {
+      await expect(
+        zillopoly.connect(player1)["startGame(uint256,uint256)"](stake, 0)
+      ).to.be.revertedWith("Invalid batch size");
+
+      await expect(
+        zillopoly.connect(player1)["startGame(uint256,uint256)"](stake, 11)
+      ).to.be.revertedWith("Invalid batch size");
+    });
+
+    it("Should let the owner raise the maximum batch size", async function () {
+      await expect(zillopoly.setMaxBatchSize(25))
+        .to.emit(zillopoly, "MaxBatchSizeUpdated")
+        .withArgs(25);
+
+      await expect(zillopoly.connect(player1)["startGame(uint256,uint256)"](stake, 25))
+        .to.emit(zillopoly, "BatchGamesCreated")
+        .withArgs(player1.address, 1, 25, stake, 0, anyValue);
+    });
+
+    it("Should start a smaller default batch once the maximum is lowered", async function () {
+      await zillopoly.setMaxBatchSize(4);
+
+      await expect(zillopoly.connect(player1)["startGame(uint256)"](stake))
+        .to.emit(zillopoly, "BatchGamesCreated")
+        .withArgs(player1.address, 1, 4, stake, 0, anyValue);
+    });
+
+    it("Should validate and restrict max batch size updates", async function () {
+      await expect(zillopoly.setMaxBatchSize(0)).to.be.revertedWith("Max batch size must be > 0");
+      await expect(
+        zillopoly.connect(player1).setMaxBatchSize(20)
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Refunds", function () {
+    const REFUND_TIMEOUT = 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await zillopoly.connect(player1).startGame(GAME_COST);
+    });
+
+    it("Should refund a game that was never initialized after the timeout", async function () {
+      await expect(
+        zillopoly.connect(player1).claimRefund(1)
+      ).to.be.revertedWith("Refund not yet available");
+
+      await time.increase(REFUND_TIMEOUT);
+
+      const balanceBefore = await hobo.balanceOf(player1.address);
+      await expect(zillopoly.connect(player1).claimRefund(1))
+        .to.emit(zillopoly, "Refunded")
+        .withArgs(1, player1.address, 0, GAME_COST); // 0 = NotStarted
+
+      expect(await hobo.balanceOf(player1.address)).to.equal(balanceBefore + GAME_COST);
+      const game = await zillopoly.getGame(1);
+      expect(game.stage).to.equal(4); // Refunded
+      expect(game.payout).to.equal(GAME_COST);
+    });
+
+    it("Should refund a guessed game that was never settled after the timeout", async function () {
+      await time.increase(REFUND_TIMEOUT);
+      await zillopoly.initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player1).makeGuess(1, true);
+
+      // The window restarts from the guess
+      await expect(
+        zillopoly.connect(player1).claimRefund(1)
+      ).to.be.revertedWith("Refund not yet available");
+
+      await time.increase(REFUND_TIMEOUT);
+
+      await expect(zillopoly.connect(player1).claimRefund(1))
+        .to.emit(zillopoly, "Refunded")
+        .withArgs(1, player1.address, 2, GAME_COST); // 2 = GuessSubmitted
+
+      await expect(
+        zillopoly.settleBet(1, ACTUAL_PRICE, SALT)
+      ).to.be.revertedWith("Game not ready for settlement");
+    });
+
+    it("Should not refund initialized, settled or already refunded games", async function () {
+      await zillopoly.initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await time.increase(REFUND_TIMEOUT);
+
+      await expect(
+        zillopoly.connect(player1).claimRefund(1)
+      ).to.be.revertedWith("Game not refundable");
+
+      await zillopoly.initializeGame(3, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player1).makeGuess(3, false);
+      await zillopoly.settleBet(3, ACTUAL_PRICE, SALT);
+      await time.increase(REFUND_TIMEOUT);
+
+      await expect(
+        zillopoly.connect(player1).claimRefund(3)
+      ).to.be.revertedWith("Game not refundable");
+
+      await zillopoly.connect(player1).claimRefund(2);
+      await expect(
+        zillopoly.connect(player1).claimRefund(2)
+      ).to.be.revertedWith("Game not refundable");
+    });
+
+    it("Should only refund the game's player", async function () {
+      await time.increase(REFUND_TIMEOUT);
+
+      await expect(
+        zillopoly.connect(player2).claimRefund(1)
+      ).to.be.revertedWith("Not your game");
+    });
+
+    it("Should let the owner configure the refund window within bounds", async function () {
+      await expect(zillopoly.setRefundTimeout(2 * 60 * 60))
+        .to.emit(zillopoly, "RefundTimeoutUpdated")
+        .withArgs(2 * 60 * 60);
+
+      await time.increase(2 * 60 * 60);
+      await expect(zillopoly.connect(player1).claimRefund(1)).to.emit(zillopoly, "Refunded");
+
+      await expect(zillopoly.setRefundTimeout(60)).to.be.revertedWith("Refund timeout out of range");
+      await expect(
+        zillopoly.setRefundTimeout(31 * REFUND_TIMEOUT)
+      ).to.be.revertedWith("Refund timeout out of range");
+      await expect(
+        zillopoly.connect(player1).setRefundTimeout(REFUND_TIMEOUT)
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Game storage", function () {
+    it("Should index games per player and reflect updates in every view", async function () {
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 2);
+      await zillopoly.connect(player2)["startGame(uint256,uint256)"](GAME_COST, 2);
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 1);
+
+      expect(await zillopoly.getTotalGames()).to.equal(5);
+      expect(await zillopoly.getPlayerGameIds(player1.address)).to.deep.equal([1n, 2n, 5n]);
+      expect(await zillopoly.getPlayerGameIds(player2.address)).to.deep.equal([3n, 4n]);
+
+      await zillopoly.initializeGame(5, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player1).makeGuess(5, false);
+      await zillopoly.settleBet(5, ACTUAL_PRICE, SALT);
+
+      const listings = await zillopoly.getPlayerListings(player1.address);
+      expect(listings.map((listing) => listing.gameId)).to.deep.equal([1n, 2n, 5n]);
+      expect(listings[2].stage).to.equal(3); // Settled
+      expect(listings[2].actualPrice).to.equal(ACTUAL_PRICE);
+      expect(listings[2].won).to.equal(false);
+
+      expect(await zillopoly.getPlayerGamesByStage(player1.address, 0)).to.equal(2);
+      expect(await zillopoly.getPlayerGamesByStage(player1.address, 3)).to.equal(1);
+    });
+
+    it("Should not grow settlement gas with the number of games", async function () {
+      await zillopoly.setMaxBatchSize(50);
+
+      const playAndSettle = async (gameId) => {
+        await zillopoly.initializeGame(gameId, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+        await zillopoly.connect(player1).makeGuess(gameId, false);
+        const tx = await zillopoly.settleBet(gameId, ACTUAL_PRICE, SALT);
+        return (await tx.wait()).gasUsed;
+      };
+
+      // Keep one game pending throughout so house liability never drops to zero,
+      // and settle a first game so the player's stats are already initialized
+      await zillopoly.connect(player2)["startGame(uint256,uint256)"](ethers.parseEther("100"), 1);
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](ethers.parseEther("100"), 2);
+      await playAndSettle(2);
+      const firstGas = await playAndSettle(3);
+
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](ethers.parseEther("100"), 50);
+      await zillopoly.connect(player2)["startGame(uint256,uint256)"](ethers.parseEther("100"), 50);
+      const laterGas = await playAndSettle(53);
+
+      expect(laterGas).to.equal(firstGas);
+    });
+  });
+
+  describe("Pagination", function () {
+    const ids = (page) => page.map((game) => game.gameId);
+
+    beforeEach(async function () {
+      // Games 1-3 belong to player1, 4-5 to player2, 6-7 to player1
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 3);
+      await zillopoly.connect(player2)["startGame(uint256,uint256)"](GAME_COST, 2);
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 2);
+    });
+
+    it("Should page through a player's games in either order", async function () {
+      let [page, total] = await zillopoly.getPlayerListingsPage(player1.address, 0, 2, false);
+      expect(ids(page)).to.deep.equal([1n, 2n]);
+      expect(total).to.equal(5);
+
+      [page] = await zillopoly.getPlayerListingsPage(player1.address, 4, 2, false);
+      expect(ids(page)).to.deep.equal([7n]);
+
+      [page] = await zillopoly.getPlayerListingsPage(player1.address, 0, 3, true);
+      expect(ids(page)).to.deep.equal([7n, 6n, 3n]);
+
+      [page] = await zillopoly.getPlayerListingsPage(player1.address, 5, 3, true);
+      expect(page.length).to.equal(0);
+    });
+
+    it("Should page through all games in either order", async function () {
+      let [page, total] = await zillopoly.getGamesPage(2, 3, false);
+      expect(ids(page)).to.deep.equal([3n, 4n, 5n]);
+      expect(total).to.equal(7);
+
+      [page] = await zillopoly.getGamesPage(5, 3, true);
+      expect(ids(page)).to.deep.equal([2n, 1n]);
+    });
+
+    it("Should page through games in a stage", async function () {
+      for (const gameId of [2, 4, 7]) {
+        await zillopoly.initializeGame(gameId, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      }
+
+      let [page, nextOffset] = await zillopoly.getGamesByStagePage(1, 0, 2, false); // 1 = Initialized
+      expect(ids(page)).to.deep.equal([2n, 4n]);
+      expect(nextOffset).to.equal(4);
+
+      [page, nextOffset] = await zillopoly.getGamesByStagePage(1, nextOffset, 2, false);
+      expect(ids(page)).to.deep.equal([7n]);
+      expect(nextOffset).to.equal(7);
+
+      [page] = await zillopoly.getGamesByStagePage(1, 0, 10, true);
+      expect(ids(page)).to.deep.equal([7n, 4n, 2n]);
+    });
+
+    it("Should reject empty or oversized pages", async function () {
+      await expect(zillopoly.getGamesPage(0, 0, false)).to.be.revertedWith("Invalid page size");
+      await expect(
+        zillopoly.getPlayerListingsPage(player1.address, 0, 101, false)
+      ).to.be.revertedWith("Invalid page size");
+      await expect(zillopoly.getGamesByStagePage(0, 0, 101, false)).to.be.revertedWith("Invalid page size");
+    });
+  });
+
+  describe("Access control", function () {
+    let oracle;
+    let treasurer;
+    let ORACLE_ROLE;
+    let TREASURER_ROLE;
+    let ADMIN_ROLE;
+
+    beforeEach(async function () {
+      [, , , oracle, treasurer] = await ethers.getSigners();
+      ORACLE_ROLE = await zillopoly.ORACLE_ROLE();
+      TREASURER_ROLE = await zillopoly.TREASURER_ROLE();
+      ADMIN_ROLE = await zillopoly.DEFAULT_ADMIN_ROLE();
+
+      await zillopoly.grantRole(ORACLE_ROLE, oracle.address);
+      await zillopoly.grantRole(TREASURER_ROLE, treasurer.address);
+      await zillopoly.connect(player1).startGame(GAME_COST);
+    });
+
+    it("Should give the deployer every role", async function () {
+      expect(await zillopoly.hasRole(ADMIN_ROLE, owner.address)).to.equal(true);
+      expect(await zillopoly.hasRole(ORACLE_ROLE, owner.address)).to.equal(true);
+      expect(await zillopoly.hasRole(TREASURER_ROLE, owner.address)).to.equal(true);
+    });
+
+    it("Should let the oracle initialize and settle games", async function () {
+      await zillopoly.connect(oracle).initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player1).makeGuess(1, true);
+
+      await expect(zillopoly.connect(oracle).settleBet(1, ACTUAL_PRICE, SALT))
+        .to.emit(zillopoly, "BetSettled");
+    });
+
+    it("Should not let the oracle withdraw funds or configure the game", async function () {
+      await expect(zillopoly.connect(oracle).withdrawFunds(1))
+        .to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount")
+        .withArgs(oracle.address, TREASURER_ROLE);
+
+      await expect(zillopoly.connect(oracle).setMaxBatchSize(20))
+        .to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount")
+        .withArgs(oracle.address, ADMIN_ROLE);
+
+      await expect(zillopoly.connect(oracle).grantRole(TREASURER_ROLE, oracle.address))
+        .to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let the treasurer withdraw but not initialize or settle", async function () {
+      const amount = ethers.parseEther("500");
+      const balanceBefore = await hobo.balanceOf(treasurer.address);
+
+      await zillopoly.connect(treasurer).withdrawFunds(amount);
+      expect(await hobo.balanceOf(treasurer.address)).to.equal(balanceBefore + amount);
+
+      await expect(
+        zillopoly.connect(treasurer).initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT))
+      )
+        .to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount")
+        .withArgs(treasurer.address, ORACLE_ROLE);
+    });
+
+    it("Should not let players initialize, settle or withdraw", async function () {
+      await expect(
+        zillopoly.connect(player1).initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT))
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+
+      await expect(
+        zillopoly.connect(player1).settleBet(1, ACTUAL_PRICE, SALT)
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+
+      await expect(
+        zillopoly.connect(player1).withdrawFunds(1)
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let the admin revoke the oracle", async function () {
+      await expect(zillopoly.revokeRole(ORACLE_ROLE, oracle.address))
+        .to.emit(zillopoly, "RoleRevoked")
+        .withArgs(ORACLE_ROLE, oracle.address, owner.address);
+
+      await expect(
+        zillopoly.connect(oracle).initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT))
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let the admin hand over administration", async function () {
+      await zillopoly.grantRole(ADMIN_ROLE, player2.address);
+      await zillopoly.renounceRole(ADMIN_ROLE, owner.address);
+
+      expect(await zillopoly.hasRole(ADMIN_ROLE, owner.address)).to.equal(false);
+      await expect(zillopoly.setMaxBatchSize(20))
+        .to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+
+      await zillopoly.connect(player2).setMaxBatchSize(20);
+      expect(await zillopoly.maxBatchSize()).to.equal(20);
+    });
+  });
+
+  describe("Bankroll", function () {
+    it("Should reserve the worst-case payout of every pending game", async function () {
+      await zillopoly.connect(player1).startGame(GAME_COST);
+
+      expect(await zillopoly.totalLiability()).to.equal(GAME_COST * 20n);
+      expect(await zillopoly.getFreeBalance()).to.equal(
+        HOUSE_FUNDING + GAME_COST * 10n - GAME_COST * 20n
+      );
+    });
+
+    it("Should release the reservation when games settle or are refunded", async function () {
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 3);
+      await zillopoly.initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.initializeGame(2, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player1).makeGuess(1, true);
+      await zillopoly.connect(player1).makeGuess(2, false);
+
+      await zillopoly.settleBet(1, ACTUAL_PRICE, SALT); // win
+      await zillopoly.settleBet(2, ACTUAL_PRICE, SALT); // loss
+      expect(await zillopoly.totalLiability()).to.equal(GAME_COST * 2n);
+
+      await time.increase(24 * 60 * 60);
+      await zillopoly.connect(player1).claimRefund(3);
+      expect(await zillopoly.totalLiability()).to.equal(0);
+      expect(await zillopoly.getFreeBalance()).to.equal(await zillopoly.getContractBalance());
+    });
+
+    it("Should refuse batches the house cannot cover", async function () {
+      // Leave the house with nothing beyond the players' stakes
+      await zillopoly.withdrawFunds(HOUSE_FUNDING);
+
+      await expect(
+        zillopoly.connect(player1).startGame(GAME_COST)
+      ).to.be.revertedWith("House cannot cover payouts");
+
+      await hobo.transfer(await zillopoly.getAddress(), GAME_COST * 10n);
+      await expect(zillopoly.connect(player1).startGame(GAME_COST))
+        .to.emit(zillopoly, "BatchGamesCreated");
+    });
+
+    it("Should only let the treasurer withdraw the free balance", async function () {
+      await zillopoly.connect(player1).startGame(GAME_COST);
+      const freeBalance = await zillopoly.getFreeBalance();
+
+      await expect(
+        zillopoly.withdrawFunds(freeBalance + 1n)
+      ).to.be.revertedWith("Insufficient free balance");
+
+      await zillopoly.withdrawFunds(freeBalance);
+      expect(await zillopoly.getFreeBalance()).to.equal(0);
+      expect(await zillopoly.getContractBalance()).to.equal(await zillopoly.totalLiability());
+    });
+  });
+
+  describe("Pause and emergency shutdown", function () {
+    beforeEach(async function () {
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 3);
+      await zillopoly.initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.initializeGame(2, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player1).makeGuess(2, true);
+    });
+
+    it("Should block new batches and guesses while paused", async function () {
+      await expect(zillopoly.pause()).to.emit(zillopoly, "Paused").withArgs(owner.address);
+
+      await expect(
+        zillopoly.connect(player1).startGame(GAME_COST)
+      ).to.be.revertedWithCustomError(zillopoly, "EnforcedPause");
+      await expect(
+        zillopoly.connect(player1).makeGuess(1, true)
+      ).to.be.revertedWithCustomError(zillopoly, "EnforcedPause");
+
+      // In-flight games can still be settled
+      await expect(zillopoly.settleBet(2, ACTUAL_PRICE, SALT)).to.emit(zillopoly, "BetSettled");
+
+      await expect(zillopoly.unpause()).to.emit(zillopoly, "Unpaused").withArgs(owner.address);
+      await expect(zillopoly.connect(player1).makeGuess(1, true)).to.emit(zillopoly, "GuessMade");
+    });
+
+    it("Should stop the oracle and let players withdraw unsettled stakes after shutdown", async function () {
+      await zillopoly.connect(player1).makeGuess(1, false);
+      await zillopoly.settleBet(1, ACTUAL_PRICE, SALT); // lost, settled
+
+      await expect(zillopoly.emergencyShutdown())
+        .to.emit(zillopoly, "EmergencyShutdown")
+        .withArgs(owner.address, anyValue);
+      expect(await zillopoly.paused()).to.equal(true);
+
+      await expect(
+        zillopoly.settleBet(2, ACTUAL_PRICE, SALT)
+      ).to.be.revertedWith("Game is shut down");
+      await expect(
+        zillopoly.initializeGame(3, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT))
+      ).to.be.revertedWith("Game is shut down");
+
+      const balanceBefore = await hobo.balanceOf(player1.address);
+      await expect(zillopoly.connect(player1).emergencyWithdraw(2))
+        .to.emit(zillopoly, "Refunded")
+        .withArgs(2, player1.address, 2, GAME_COST); // from GuessSubmitted
+      await expect(zillopoly.connect(player1).emergencyWithdraw(3))
+        .to.emit(zillopoly, "Refunded")
+        .withArgs(3, player1.address, 0, GAME_COST); // from NotStarted
+
+      expect(await hobo.balanceOf(player1.address)).to.equal(balanceBefore + GAME_COST * 2n);
+      expect(await zillopoly.totalLiability()).to.equal(0);
+
+      await expect(
+        zillopoly.connect(player1).emergencyWithdraw(1)
+      ).to.be.revertedWith("Game not refundable");
+      await expect(
+        zillopoly.connect(player2).emergencyWithdraw(2)
+      ).to.be.revertedWith("Not your game");
+    });
+
+    it("Should only allow emergency withdrawals after shutdown", async function () {
+      await expect(
+        zillopoly.connect(player1).emergencyWithdraw(1)
+      ).to.be.revertedWith("Game is not shut down");
+    });
+
+    it("Should make shutdown permanent", async function () {
+      await zillopoly.emergencyShutdown();
+
+      await expect(zillopoly.unpause()).to.be.revertedWith("Game is shut down");
+      await expect(zillopoly.emergencyShutdown()).to.be.revertedWith("Game is shut down");
+    });
+
+    it("Should restrict pausing and shutdown to the admin", async function () {
+      await expect(
+        zillopoly.connect(player1).pause()
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+      await expect(
+        zillopoly.connect(player1).emergencyShutdown()
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Payout configuration", function () {
+    const TIE_PUSH = 0;
+    const TIE_WIN = 1;
+    const TIE_LOSE = 2;
+
+    const playTie = async (gameId) => {
+      await zillopoly.initializeGame(gameId, LISTING_ID, ACTUAL_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player1).makeGuess(gameId, true);
+      return zillopoly.settleBet(gameId, ACTUAL_PRICE, SALT);
+    };
+
+    it("Should default to a 2x payout with ties won by the player", async function () {
+      expect(await zillopoly.payoutMultiplierBps()).to.equal(20000);
+      expect(await zillopoly.tiePolicy()).to.equal(TIE_WIN);
+
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 1);
+      await expect(playTie(1))
+        .to.emit(zillopoly, "BetSettled")
+        .withArgs(1, player1.address, ACTUAL_PRICE, ACTUAL_PRICE, 0, true, 0, GAME_COST, true, GAME_COST * 2n);
+    });
+
+    it("Should record the payout config on each game at creation", async function () {
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 1);
+
+      await expect(zillopoly.setPayoutConfig(19000, TIE_PUSH))
+        .to.emit(zillopoly, "PayoutConfigUpdated")
+        .withArgs(19000, TIE_PUSH);
+
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 1);
+
+      const oldGame = await zillopoly.getGame(1);
+      const newGame = await zillopoly.getGame(2);
+      expect(oldGame.payoutMultiplierBps).to.equal(20000);
+      expect(oldGame.tiePolicy).to.equal(TIE_WIN);
+      expect(newGame.payoutMultiplierBps).to.equal(19000);
+      expect(newGame.tiePolicy).to.equal(TIE_PUSH);
+
+      // Each game reserves its own worst-case payout
+      expect(await zillopoly.totalLiability()).to.equal(GAME_COST * 2n + GAME_COST * 19n / 10n);
+
+      // The in-flight game still settles on its original terms
+      await zillopoly.initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player1).makeGuess(1, true);
+      await expect(zillopoly.settleBet(1, ACTUAL_PRICE, SALT))
+        .to.emit(zillopoly, "BetSettled")
+        .withArgs(1, player1.address, DISPLAYED_PRICE, ACTUAL_PRICE, 0, true, 0, GAME_COST, true, GAME_COST * 2n);
+
+      await zillopoly.initializeGame(2, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player1).makeGuess(2, true);
+      await expect(zillopoly.settleBet(2, ACTUAL_PRICE, SALT))
+        .to.emit(zillopoly, "BetSettled")
+        .withArgs(2, player1.address, DISPLAYED_PRICE, ACTUAL_PRICE, 0, true, 0, GAME_COST, true, GAME_COST * 19n / 10n);
+
+      expect(await zillopoly.totalLiability()).to.equal(0);
+    });
+
+    it("Should return the stake on a tie under the push policy", async function () {
+      await zillopoly.setPayoutConfig(19000, TIE_PUSH);
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 1);
+
+      const balanceBefore = await hobo.balanceOf(player1.address);
+      await expect(playTie(1))
+        .to.emit(zillopoly, "BetSettled")
+        .withArgs(1, player1.address, ACTUAL_PRICE, ACTUAL_PRICE, 0, true, 0, GAME_COST, false, GAME_COST);
+
+      expect(await hobo.balanceOf(player1.address)).to.equal(balanceBefore + GAME_COST);
+      expect(await zillopoly.totalLiability()).to.equal(0);
+    });
+
+    it("Should keep the stake on a tie under the lose policy", async function () {
+      await zillopoly.setPayoutConfig(20000, TIE_LOSE);
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 1);
+
+      const balanceBefore = await hobo.balanceOf(player1.address);
+      await expect(playTie(1))
+        .to.emit(zillopoly, "BetSettled")
+        .withArgs(1, player1.address, ACTUAL_PRICE, ACTUAL_PRICE, 0, true, 0, GAME_COST, false, 0);
+
+      expect(await hobo.balanceOf(player1.address)).to.equal(balanceBefore);
+    });
+
+    it("Should bound the payout multiplier and restrict it to the admin", async function () {
+      await expect(
+        zillopoly.setPayoutConfig(9999, TIE_PUSH)
+      ).to.be.revertedWith("Payout multiplier out of range");
+      await expect(
+        zillopoly.setPayoutConfig(20001, TIE_PUSH)
+      ).to.be.revertedWith("Payout multiplier out of range");
+      await expect(
+        zillopoly.connect(player1).setPayoutConfig(19000, TIE_PUSH)
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Price-estimate mode", function () {
+    const HIGHER_LOWER = 0;
+    const PRICE_ESTIMATE = 1;
+
+    beforeEach(async function () {
+      await zillopoly.connect(player1)["startGame(uint256,uint256,uint8)"](GAME_COST, 5, PRICE_ESTIMATE);
+      for (let gameId = 1; gameId <= 5; gameId++) {
+        await zillopoly.initializeGame(gameId, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      }
+    });
+
+    it("Should create games in the requested mode and reserve the top tier payout", async function () {
+      await expect(zillopoly.connect(player2)["startGame(uint256,uint256,uint8)"](GAME_COST, 1, PRICE_ESTIMATE))
+        .to.emit(zillopoly, "BatchGamesCreated")
+        .withArgs(player2.address, 6, 6, GAME_COST, PRICE_ESTIMATE, anyValue);
+
+      expect((await zillopoly.getGame(6)).mode).to.equal(PRICE_ESTIMATE);
+      expect(await zillopoly.totalLiability()).to.equal(GAME_COST * 4n * 6n);
+    });
+
+    it("Should only accept the guess type matching the game's mode", async function () {
+      await expect(
+        zillopoly.connect(player1).makeGuess(1, true)
+      ).to.be.revertedWith("Wrong game mode");
+
+      await zillopoly.connect(player2)["startGame(uint256,uint256)"](GAME_COST, 1);
+      await zillopoly.initializeGame(6, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await expect(
+        zillopoly.connect(player2).makePriceGuess(6, ACTUAL_PRICE)
+      ).to.be.revertedWith("Wrong game mode");
+
+      await expect(
+        zillopoly.connect(player1).makePriceGuess(1, 0)
+      ).to.be.revertedWith("Price guess must be > 0");
+      await expect(zillopoly.connect(player1).makePriceGuess(1, 540000))
+        .to.emit(zillopoly, "GuessMade")
+        .withArgs(1, player1.address, PRICE_ESTIMATE, false, 540000);
+      await expect(zillopoly.connect(player2).makeGuess(6, true))
+        .to.emit(zillopoly, "GuessMade")
+        .withArgs(6, player2.address, HIGHER_LOWER, true, 0);
+    });
+
+    it("Should pay according to how close the guess was", async function () {
+      // ACTUAL_PRICE is 550000
+      const guesses = [
+        [555500n, GAME_COST * 4n],      // exactly 1% over
+        [535000n, GAME_COST * 2n],      // ~2.7% under
+        [577500n, GAME_COST * 3n / 2n], // exactly 5% over
+        [600000n, 0n],                  // ~9.1% over
+        [440000n, 0n]                   // 20% under
+      ];
+
+      for (let i = 0; i < guesses.length; i++) {
+        const gameId = i + 1;
+        const [priceGuess, payout] = guesses[i];
+        await zillopoly.connect(player1).makePriceGuess(gameId, priceGuess);
+        await expect(zillopoly.settleBet(gameId, ACTUAL_PRICE, SALT))
+          .to.emit(zillopoly, "BetSettled")
+          .withArgs(
+            gameId, player1.address, DISPLAYED_PRICE, ACTUAL_PRICE,
+            PRICE_ESTIMATE, false, priceGuess, GAME_COST, payout > 0n, payout
+          );
+      }
+
+      expect(await zillopoly.totalLiability()).to.equal(0);
+    });
+
+    it("Should expose the payout tiers", async function () {
+      expect(await zillopoly.getEstimatePayoutBps(1000, 1000, 20000)).to.equal(40000);
+      expect(await zillopoly.getEstimatePayoutBps(990, 1000, 20000)).to.equal(40000);
+      expect(await zillopoly.getEstimatePayoutBps(989, 1000, 20000)).to.equal(20000);
+      expect(await zillopoly.getEstimatePayoutBps(1030, 1000, 20000)).to.equal(20000);
+      expect(await zillopoly.getEstimatePayoutBps(1031, 1000, 20000)).to.equal(15000);
+      expect(await zillopoly.getEstimatePayoutBps(950, 1000, 20000)).to.equal(15000);
+      expect(await zillopoly.getEstimatePayoutBps(949, 1000, 20000)).to.equal(0);
+    });
+
+    it("Should settle absurdly large guesses as a loss without reverting the batch", async function () {
+      expect(await zillopoly.getEstimatePayoutBps(ethers.MaxUint256, 1000, 20000)).to.equal(0);
+
+      await zillopoly.connect(player1).makePriceGuess(1, ethers.MaxUint256);
+      await zillopoly.connect(player1).makePriceGuess(2, ACTUAL_PRICE);
+      await zillopoly.settleBets([1, 2], [ACTUAL_PRICE, ACTUAL_PRICE], [SALT, SALT]);
+
+      const [lost, won] = [await zillopoly.getGame(1), await zillopoly.getGame(2)];
+      expect(lost.stage).to.equal(3); // Settled
+      expect(lost.payout).to.equal(0);
+      expect(won.stage).to.equal(3); // Settled
+      expect(won.payout).to.equal(GAME_COST * 4n);
+    });
+
+    it("Should scale the tiers by the game's payout multiplier", async function () {
+      expect(await zillopoly.getEstimatePayoutBps(1000, 1000, 19000)).to.equal(38000);
+      expect(await zillopoly.getEstimatePayoutBps(1030, 1000, 10000)).to.equal(10000);
+
+      await zillopoly.setPayoutConfig(19000, await zillopoly.tiePolicy());
+      await zillopoly.connect(player2)["startGame(uint256,uint256,uint8)"](GAME_COST, 1, PRICE_ESTIMATE);
+      expect(await zillopoly.totalLiability()).to.equal(GAME_COST * 4n * 5n + GAME_COST * 38n / 10n);
+
+      await zillopoly.initializeGame(6, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player2).makePriceGuess(6, ACTUAL_PRICE);
+      await expect(zillopoly.settleBet(6, ACTUAL_PRICE, SALT))
+        .to.emit(zillopoly, "BetSettled")
+        .withArgs(6, player2.address, DISPLAYED_PRICE, ACTUAL_PRICE, PRICE_ESTIMATE, false, ACTUAL_PRICE, GAME_COST, true, GAME_COST * 38n / 10n);
+    });
+
+    it("Should pay less than the stake on average for guessing the displayed price", async function () {
+      // The API displays the actual price times a whole-percent multiplier in 85-115, never 100
+      const actualPrice = 1_000_000n;
+      let totalBps = 0n;
+      let outcomes = 0n;
+
+      for (let multiplier = 85n; multiplier <= 115n; multiplier++) {
+        if (multiplier === 100n) continue;
+        const displayedPrice = actualPrice * multiplier / 100n;
+        totalBps += await zillopoly.getEstimatePayoutBps(displayedPrice, actualPrice, 20000);
+        outcomes++;
+      }
+
+      expect(totalBps / outcomes).to.be.lessThan(10000n);
+    });
+  });
+
+  describe("Guess deadline", function () {
+    const GUESS_WINDOW = 10 * 60;
+
+    beforeEach(async function () {
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 2);
+      await zillopoly.initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+    });
+
+    it("Should set the deadline at initialization", async function () {
+      const initializedAt = await time.latest();
+      expect((await zillopoly.getGame(1)).guessDeadline).to.equal(initializedAt + GUESS_WINDOW);
+      expect((await zillopoly.getGame(2)).guessDeadline).to.equal(0);
+
+      await expect(zillopoly.initializeGame(2, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT)))
+        .to.emit(zillopoly, "GameInitialized")
+        .withArgs(2, player1.address, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT), anyValue, anyValue);
+    });
+
+    it("Should reject guesses after the deadline", async function () {
+      await time.increase(GUESS_WINDOW + 1);
+
+      await expect(
+        zillopoly.connect(player1).makeGuess(1, true)
+      ).to.be.revertedWith("Guess deadline passed");
+    });
+
+    it("Should let anyone forfeit an expired game to the house", async function () {
+      await expect(
+        zillopoly.connect(player2).forfeitExpiredGame(1)
+      ).to.be.revertedWith("Guess deadline not passed");
+
+      await time.increase(GUESS_WINDOW + 1);
+
+      const liabilityBefore = await zillopoly.totalLiability();
+      const houseBefore = await hobo.balanceOf(await zillopoly.getAddress());
+      await expect(zillopoly.connect(player2).forfeitExpiredGame(1))
+        .to.emit(zillopoly, "GameForfeited")
+        .withArgs(1, player1.address, player2.address);
+
+      const game = await zillopoly.getGame(1);
+      expect(game.stage).to.equal(5); // Forfeited
+      expect(game.payout).to.equal(0);
+      expect(await zillopoly.totalLiability()).to.equal(liabilityBefore - GAME_COST * 2n);
+      expect(await hobo.balanceOf(await zillopoly.getAddress())).to.equal(houseBefore);
+
+      await expect(
+        zillopoly.connect(player2).forfeitExpiredGame(1)
+      ).to.be.revertedWith("Game not in guess stage");
+      await expect(
+        zillopoly.connect(player1).claimRefund(1)
+      ).to.be.revertedWith("Game not refundable");
+    });
+
+    it("Should not forfeit games that were guessed or never initialized", async function () {
+      await zillopoly.connect(player1).makeGuess(1, true);
+      await time.increase(GUESS_WINDOW + 1);
+
+      await expect(
+        zillopoly.forfeitExpiredGame(1)
+      ).to.be.revertedWith("Game not in guess stage");
+      await expect(
+        zillopoly.forfeitExpiredGame(2)
+      ).to.be.revertedWith("Game not in guess stage");
+    });
+
+    it("Should not forfeit while paused", async function () {
+      await time.increase(GUESS_WINDOW + 1);
+      await zillopoly.pause();
+
+      await expect(
+        zillopoly.forfeitExpiredGame(1)
+      ).to.be.revertedWithCustomError(zillopoly, "EnforcedPause");
+    });
+
+    it("Should extend guess deadlines by the time spent paused", async function () {
+      const deadline = (await zillopoly.getGame(1)).guessDeadline;
+      const PAUSE = 60 * 60;
+
+      // Pause with most of the window left, and stay paused well past the original deadline
+      await zillopoly.pause();
+      await time.increase(PAUSE);
+      await zillopoly.unpause();
+      expect(await zillopoly.getGuessDeadline(1)).to.equal(deadline + BigInt(PAUSE) + 1n);
+
+      await expect(
+        zillopoly.connect(player2).forfeitExpiredGame(1)
+      ).to.be.revertedWith("Guess deadline not passed");
+      await expect(zillopoly.connect(player1).makeGuess(1, true))
+        .to.emit(zillopoly, "GuessMade");
+
+      // Games initialized after the pause keep their full window
+      await zillopoly.initializeGame(2, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      expect(await zillopoly.getGuessDeadline(2)).to.equal((await time.latest()) + GUESS_WINDOW);
+      await time.increase(GUESS_WINDOW + 1);
+      await expect(zillopoly.connect(player2).forfeitExpiredGame(2))
+        .to.emit(zillopoly, "GameForfeited");
+    });
+
+    it("Should let the admin configure the guess window within bounds", async function () {
+      await expect(zillopoly.setGuessWindow(60))
+        .to.emit(zillopoly, "GuessWindowUpdated")
+        .withArgs(60);
+      await zillopoly.initializeGame(2, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      expect((await zillopoly.getGame(2)).guessDeadline).to.equal((await time.latest()) + 60);
+
+      await expect(zillopoly.setGuessWindow(59)).to.be.revertedWith("Guess window out of range");
+      await expect(zillopoly.setGuessWindow(24 * 60 * 60 + 1)).to.be.revertedWith("Guess window out of range");
+      await expect(
+        zillopoly.connect(player1).setGuessWindow(60)
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Batch guesses and settlement", function () {
+    const gameIds = Array.from({ length: 10 }, (_, i) => i + 1);
+
+    beforeEach(async function () {
+      await zillopoly.connect(player1).startGame(GAME_COST);
+      for (let gameId = 1; gameId <= 10; gameId++) {
+        await zillopoly.initializeGame(gameId, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      }
+    });
+
+    it("Should guess every game of a batch in one transaction", async function () {
+      const guesses = gameIds.map((gameId) => gameId % 2 === 0);
+
+      const tx = zillopoly.connect(player1).makeGuesses(gameIds, guesses);
+      for (const gameId of gameIds) {
+        await expect(tx)
+          .to.emit(zillopoly, "GuessMade")
+          .withArgs(gameId, player1.address, 0, gameId % 2 === 0, 0);
+      }
+
+      for (const gameId of gameIds) {
+        const game = await zillopoly.getGame(gameId);
+        expect(game.stage).to.equal(2); // GuessSubmitted
+        expect(game.higherOrLower).to.equal(gameId % 2 === 0);
+      }
+    });
+
+    it("Should validate every game and revert the whole batch on any failure", async function () {
+      await zillopoly.connect(player2)["startGame(uint256,uint256)"](GAME_COST, 1);
+      await zillopoly.initializeGame(11, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+
+      await expect(
+        zillopoly.connect(player1).makeGuesses([1, 11], [true, true])
+      ).to.be.revertedWith("Not your game");
+      await expect(
+        zillopoly.connect(player1).makeGuesses([1, 1], [true, false])
+      ).to.be.revertedWith("Game not in guess stage");
+      await expect(
+        zillopoly.connect(player1).makeGuesses([1, 2], [true])
+      ).to.be.revertedWith("Array length mismatch");
+      await expect(
+        zillopoly.connect(player1).makeGuesses([], [])
+      ).to.be.revertedWith("Invalid batch size");
+      const tooMany = Array.from({ length: 101 }, (_, i) => i + 1);
+      await expect(
+        zillopoly.connect(player1).makeGuesses(tooMany, tooMany.map(() => true))
+      ).to.be.revertedWith("Invalid batch size");
+
+      expect((await zillopoly.getGame(1)).stage).to.equal(1); // Still Initialized
+    });
+
+    it("Should guess a whole batch after the maximum batch size is lowered", async function () {
+      await zillopoly.setMaxBatchSize(4);
+
+      await zillopoly.connect(player1).makeGuesses(gameIds, gameIds.map(() => true));
+      expect((await zillopoly.getGame(10)).stage).to.equal(2); // GuessSubmitted
+    });
+
+    it("Should batch price-estimate guesses", async function () {
+      await zillopoly.connect(player2)["startGame(uint256,uint256,uint8)"](GAME_COST, 2, 1);
+      await zillopoly.initializeGame(11, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.initializeGame(12, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT));
+
+      await expect(
+        zillopoly.connect(player2).makePriceGuesses([11, 12], [540000, 0])
+      ).to.be.revertedWith("Price guess must be > 0");
+
+      await expect(zillopoly.connect(player2).makePriceGuesses([11, 12], [540000, 560000]))
+        .to.emit(zillopoly, "GuessMade")
+        .withArgs(12, player2.address, 1, false, 560000);
+      expect((await zillopoly.getGame(11)).priceGuess).to.equal(540000);
+    });
+
+    it("Should settle a batch of bets and skip games already settled", async function () {
+      await zillopoly.connect(player1).makeGuesses(gameIds, gameIds.map(() => true));
+      await zillopoly.settleBet(1, ACTUAL_PRICE, SALT);
+
+      const prices = gameIds.map(() => ACTUAL_PRICE);
+      const salts = gameIds.map(() => SALT);
+      const tx = zillopoly.settleBets(gameIds, prices, salts);
+
+      await expect(tx)
+        .to.emit(zillopoly, "BetSettled")
+        .withArgs(10, player1.address, DISPLAYED_PRICE, ACTUAL_PRICE, 0, true, 0, GAME_COST, true, GAME_COST * 2n);
+      const receipt = await (await tx).wait();
+      const settled = receipt.logs
+        .map((log) => zillopoly.interface.parseLog(log))
+        .filter((event) => event?.name === "BetSettled");
+      expect(settled.length).to.equal(9);
+
+      for (const gameId of gameIds) {
+        expect((await zillopoly.getGame(gameId)).stage).to.equal(3); // Settled
+      }
+      expect(await zillopoly.totalLiability()).to.equal(0);
+    });
+
+    it("Should revert a settlement batch with a bad reveal or outside the oracle", async function () {
+      await zillopoly.connect(player1).makeGuesses([1, 2], [true, false]);
+
+      await expect(
+        zillopoly.settleBets([1, 2], [ACTUAL_PRICE, ACTUAL_PRICE + 1n], [SALT, SALT])
+      ).to.be.revertedWith("Price does not match commitment");
+      await expect(
+        zillopoly.settleBets([1, 2], [ACTUAL_PRICE], [SALT, SALT])
+      ).to.be.revertedWith("Array length mismatch");
+      await expect(
+        zillopoly.connect(player1).settleBets([1], [ACTUAL_PRICE], [SALT])
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+
+      expect((await zillopoly.getGame(1)).stage).to.equal(2); // Still GuessSubmitted
+    });
+
+    it("Should revert a settlement batch with an unknown or unguessed game", async function () {
+      await zillopoly.connect(player1).makeGuesses([1, 2], [true, false]);
+
+      await expect(
+        zillopoly.settleBets([1, 0], [ACTUAL_PRICE, ACTUAL_PRICE], [SALT, SALT])
+      ).to.be.revertedWith("Invalid game ID");
+      await expect(
+        zillopoly.settleBets([1, 999], [ACTUAL_PRICE, ACTUAL_PRICE], [SALT, SALT])
+      ).to.be.revertedWith("Invalid game ID");
+      await expect(
+        zillopoly.settleBets([1, 3], [ACTUAL_PRICE, ACTUAL_PRICE], [SALT, SALT])
+      ).to.be.revertedWith("Game not ready for settlement");
+
+      expect((await zillopoly.getGame(1)).stage).to.equal(2); // Still GuessSubmitted
+    });
+  });
+
+  describe("Player statistics", function () {
+    const settle = async (player, gameId, displayedPrice, isHigher) => {
+      await zillopoly.initializeGame(gameId, LISTING_ID, displayedPrice, commit(ACTUAL_PRICE, SALT));
+      await zillopoly.connect(player).makeGuess(gameId, isHigher);
+      await zillopoly.settleBet(gameId, ACTUAL_PRICE, SALT);
+    };
+
+    beforeEach(async function () {
+      await zillopoly.setPayoutConfig(20000, 0); // Ties push
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 6);
+      await zillopoly.connect(player2)["startGame(uint256,uint256)"](GAME_COST, 2);
+    });
+
+    it("Should start with empty stats", async function () {
+      const stats = await zillopoly.getPlayerStats(player1.address);
+      expect(stats.gamesPlayed).to.equal(0);
+      expect(stats.bestWinStreak).to.equal(0);
+      expect((await zillopoly.getGlobalStats()).playerCount).to.equal(0);
+    });
+
+    it("Should track each player's record and win streaks at settlement", async function () {
+      await settle(player1, 1, DISPLAYED_PRICE, true);  // win
+      await settle(player1, 2, DISPLAYED_PRICE, true);  // win
+      await settle(player1, 3, DISPLAYED_PRICE, true);  // win
+      await settle(player1, 4, DISPLAYED_PRICE, false); // loss
+      await settle(player1, 5, ACTUAL_PRICE, true);     // push
+      await settle(player1, 6, DISPLAYED_PRICE, true);  // win
+
+      const stats = await zillopoly.getPlayerStats(player1.address);
+      expect(stats.gamesPlayed).to.equal(6);
+      expect(stats.gamesWon).to.equal(4);
+      expect(stats.gamesLost).to.equal(1);
+      expect(stats.totalWagered).to.equal(GAME_COST * 6n);
+      expect(stats.totalPaidOut).to.equal(GAME_COST * 9n); // 4 wins at 2x plus the pushed stake
+      expect(stats.currentWinStreak).to.equal(1);
+      expect(stats.bestWinStreak).to.equal(3);
+    });
+
+    it("Should keep a streak going through a push", async function () {
+      await settle(player1, 1, DISPLAYED_PRICE, true); // win
+      await settle(player1, 2, ACTUAL_PRICE, true);    // push
+      await settle(player1, 3, DISPLAYED_PRICE, true); // win
+
+      const stats = await zillopoly.getPlayerStats(player1.address);
+      expect(stats.currentWinStreak).to.equal(2);
+      expect(stats.bestWinStreak).to.equal(2);
+    });
+
+    it("Should aggregate global stats and ignore refunded games", async function () {
+      await settle(player1, 1, DISPLAYED_PRICE, true);  // win
+      await settle(player1, 2, DISPLAYED_PRICE, false); // loss
+      await settle(player2, 7, DISPLAYED_PRICE, false); // loss
+
+      await time.increase(24 * 60 * 60);
+      await zillopoly.connect(player2).claimRefund(8);
+
+      const global = await zillopoly.getGlobalStats();
+      expect(global.playerCount).to.equal(2);
+      expect(global.gamesPlayed).to.equal(3);
+      expect(global.gamesWon).to.equal(1);
+      expect(global.gamesLost).to.equal(2);
+      expect(global.totalWagered).to.equal(GAME_COST * 3n);
+      expect(global.totalPaidOut).to.equal(GAME_COST * 2n);
+
+      const player2Stats = await zillopoly.getPlayerStats(player2.address);
+      expect(player2Stats.gamesPlayed).to.equal(1);
+      expect(player2Stats.totalWagered).to.equal(GAME_COST);
+    });
+  });
+
+  describe("Signed listing attestations", function () {
+    let attester;
+
+    const ATTESTATION_TYPES = {
+      ListingAttestation: [
+        { name: "gameId", type: "uint256" },
+        { name: "listingId", type: "bytes32" },
+        { name: "displayedPrice", type: "uint256" },
+        { name: "priceCommitment", type: "bytes32" },
+        { name: "expiry", type: "uint256" }
+      ]
+    };
+
+    const attest = async (signer, attestation) => {
+      const domain = {
+        name: "Zillopoly",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await zillopoly.getAddress()
+      };
+      return signer.signTypedData(domain, ATTESTATION_TYPES, attestation);
+    };
+
+    const attestation = async (gameId) => ({
+      gameId,
+      listingId: LISTING_ID,
+      displayedPrice: DISPLAYED_PRICE,
+      priceCommitment: commit(ACTUAL_PRICE, SALT),
+      expiry: (await time.latest()) + 3600
+    });
+
+    const relay = (relayer, a, signature) =>
+      zillopoly.connect(relayer).initializeGameWithAttestation(
+        a.gameId, a.listingId, a.displayedPrice, a.priceCommitment, a.expiry, signature
+      );
+
+    beforeEach(async function () {
+      [, , , attester] = await ethers.getSigners();
+      await zillopoly.connect(player1)["startGame(uint256,uint256)"](GAME_COST, 2);
+      await expect(zillopoly.setAttestationSigner(attester.address, true))
+        .to.emit(zillopoly, "AttestationSignerUpdated")
+        .withArgs(attester.address, true);
+    });
+
+    it("Should let anyone relay an attested initialization", async function () {
+      const a = await attestation(1);
+
+      await expect(relay(player2, a, await attest(attester, a)))
+        .to.emit(zillopoly, "GameInitialized")
+        .withArgs(1, player1.address, LISTING_ID, DISPLAYED_PRICE, a.priceCommitment, anyValue, anyValue);
+
+      const game = await zillopoly.getGame(1);
+      expect(game.stage).to.equal(1); // Initialized
+      expect(game.displayedPrice).to.equal(DISPLAYED_PRICE);
+    });
+
+    it("Should reject attestations from unregistered or removed signers", async function () {
+      const a = await attestation(1);
+
+      await expect(
+        relay(player2, a, await attest(player2, a))
+      ).to.be.revertedWith("Invalid attestation signer");
+
+      await zillopoly.setAttestationSigner(attester.address, false);
+      await expect(
+        relay(player2, a, await attest(attester, a))
+      ).to.be.revertedWith("Invalid attestation signer");
+    });
+
+    it("Should reject tampered, expired or replayed attestations", async function () {
+      const a = await attestation(1);
+      const signature = await attest(attester, a);
+
+      await expect(
+        relay(player2, { ...a, displayedPrice: DISPLAYED_PRICE + 1n }, signature)
+      ).to.be.revertedWith("Invalid attestation signer");
+      await expect(
+        relay(player2, { ...a, gameId: 2 }, signature)
+      ).to.be.revertedWith("Invalid attestation signer");
+
+      await relay(player2, a, signature);
+      await expect(
+        relay(player2, a, signature)
+      ).to.be.revertedWith("Game already initialized");
+
+      const b = await attestation(2);
+      const expiring = await attest(attester, b);
+      await time.increaseTo(b.expiry + 1);
+      await expect(
+        relay(player2, b, expiring)
+      ).to.be.revertedWith("Attestation expired");
+    });
+
+    it("Should let the admin require attestations for every initialization", async function () {
+      await expect(zillopoly.setAttestationRequired(true))
+        .to.emit(zillopoly, "AttestationRequirementUpdated")
+        .withArgs(true);
+
+      await expect(
+        zillopoly.initializeGame(1, LISTING_ID, DISPLAYED_PRICE, commit(ACTUAL_PRICE, SALT))
+      ).to.be.revertedWith("Attestation required");
+
+      const a = await attestation(1);
+      await expect(relay(owner, a, await attest(attester, a))).to.emit(zillopoly, "GameInitialized");
+    });
+
+    it("Should restrict attestation settings to the admin", async function () {
+      await expect(
+        zillopoly.connect(player1).setAttestationSigner(player1.address, true)
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+      await expect(
+        zillopoly.connect(player1).setAttestationRequired(true)
+      ).to.be.revertedWithCustomError(zillopoly, "AccessControlUnauthorizedAccount");
+      await expect(
+        zillopoly.setAttestationSigner(ethers.ZeroAddress, true)
+      ).to.be.revertedWith("Invalid signer");
+    });
+  });
+});
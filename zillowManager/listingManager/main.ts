@@ -1,5 +1,27 @@
 import { cre, Runner, type Runtime } from "@chainlink/cre-sdk";
-import { decodeEventLog, encodeFunctionData, type Hex, keccak256, toHex } from "viem";
+import { decodeEventLog, decodeFunctionResult, encodeFunctionData, type Hex, keccak256, toHex } from "viem";
+
+// Mirrors the Zillopoly.Listing struct returned by the game views
+const GAME_COMPONENTS = [
+  { name: "gameId", type: "uint256" },
+  { name: "displayedPrice", type: "uint256" },
+  { name: "actualPrice", type: "uint256" },
+  { name: "mode", type: "uint8" },
+  { name: "higherOrLower", type: "bool" },
+  { name: "priceGuess", type: "uint256" },
+  { name: "listingId", type: "bytes32" },
+  { name: "priceCommitment", type: "bytes32" },
+  { name: "player", type: "address" },
+  { name: "stake", type: "uint256" },
+  { name: "payoutMultiplierBps", type: "uint256" },
+  { name: "tiePolicy", type: "uint8" },
+  { name: "timestamp", type: "uint256" },
+  { name: "guessDeadline", type: "uint256" },
+  { name: "guessedAt", type: "uint256" },
+  { name: "stage", type: "uint8" },
+  { name: "won", type: "bool" },
+  { name: "payout", type: "uint256" }
+] as const;
 
 const ZILLOPOLY_ABI = [
   {
@@ -9,22 +31,112 @@ const ZILLOPOLY_ABI = [
       { name: "player", type: "address", indexed: true },
       { name: "startGameId", type: "uint256", indexed: false },
       { name: "endGameId", type: "uint256", indexed: false },
+      { name: "stake", type: "uint256", indexed: false },
+      { name: "mode", type: "uint8", indexed: false },
       { name: "timestamp", type: "uint256", indexed: false }
     ]
   },
+  {
+    type: "event",
+    name: "GuessMade",
+    inputs: [
+      { name: "gameId", type: "uint256", indexed: true },
+      { name: "player", type: "address", indexed: true },
+      { name: "mode", type: "uint8", indexed: false },
+      { name: "higherOrLower", type: "bool", indexed: false },
+      { name: "priceGuess", type: "uint256", indexed: false }
+    ]
+  },
   {
     type: "function",
     name: "initializeGame",
     inputs: [
       { name: "gameId", type: "uint256" },
       { name: "listingId", type: "bytes32" },
-      { name: "displayedPrice", type: "uint256" }
+      { name: "displayedPrice", type: "uint256" },
+      { name: "priceCommitment", type: "bytes32" }
     ],
     outputs: [],
     stateMutability: "nonpayable"
+  },
+  {
+    type: "function",
+    name: "initializeGameWithAttestation",
+    inputs: [
+      { name: "gameId", type: "uint256" },
+      { name: "listingId", type: "bytes32" },
+      { name: "displayedPrice", type: "uint256" },
+      { name: "priceCommitment", type: "bytes32" },
+      { name: "expiry", type: "uint256" },
+      { name: "signature", type: "bytes" }
+    ],
+    outputs: [],
+    stateMutability: "nonpayable"
+  },
+  {
+    type: "function",
+    name: "settleBets",
+    inputs: [
+      { name: "gameIds", type: "uint256[]" },
+      { name: "actualPrices", type: "uint256[]" },
+      { name: "salts", type: "bytes32[]" }
+    ],
+    outputs: [],
+    stateMutability: "nonpayable"
+  },
+  {
+    type: "function",
+    name: "getGame",
+    inputs: [{ name: "gameId", type: "uint256" }],
+    outputs: [{ name: "", type: "tuple", components: GAME_COMPONENTS }],
+    stateMutability: "view"
+  },
+  {
+    type: "function",
+    name: "getPlayerListingsPage",
+    inputs: [
+      { name: "player", type: "address" },
+      { name: "offset", type: "uint256" },
+      { name: "limit", type: "uint256" },
+      { name: "newestFirst", type: "bool" }
+    ],
+    outputs: [
+      { name: "page", type: "tuple[]", components: GAME_COMPONENTS },
+      { name: "total", type: "uint256" }
+    ],
+    stateMutability: "view"
+  },
+  {
+    type: "function",
+    name: "isShutdown",
+    inputs: [],
+    outputs: [{ name: "", type: "bool" }],
+    stateMutability: "view"
   }
 ] as const;
 
+// Mirrors MAX_BATCH_LISTINGS in the API's POST /api/oracle/listings/batch
+const MAX_LISTINGS_PER_REQUEST = 50;
+
+// Most recent games of a player also settled alongside the guessed game, to batch a makeGuesses call
+const SETTLEMENT_SCAN_LIMIT = 20;
+
+// Mirrors Zillopoly.GameStage
+const GameStage = {
+  NotStarted: 0,
+  Initialized: 1,
+  GuessSubmitted: 2,
+  Settled: 3,
+  Refunded: 4,
+  Forfeited: 5,
+} as const;
+
+// Mirrors Zillopoly.GameMode
+const GameMode = {
+  HigherLower: 0,
+  PriceEstimate: 1,
+} as const;
+
 type Config = {
   zillopolyAddress: string;
   chainName: string;
@@ -35,12 +147,30 @@ type BatchGamesCreatedEvent = {
   player: string;
   startGameId: bigint;
   endGameId: bigint;
+  stake: bigint;
+  mode: number;
   timestamp: bigint;
 };
 
+type GuessMadeEvent = {
+  gameId: bigint;
+  player: string;
+  mode: number;
+  higherOrLower: boolean;
+  priceGuess: bigint;
+};
+
+type GameResult = {
+  gameId: string;
+  status: "success" | "failed" | "skipped";
+  error?: string;
+  [key: string]: unknown;
+};
+
 type ListingResponse = {
   success: boolean;
-  city: string;
+  // null for listings that are not in a known market, e.g. fixtures without a location
+  city: string | null;
   listing: {
     zpid: number;
     address: string;
@@ -54,9 +184,59 @@ type ListingResponse = {
   contractData: {
     listingId: string;
     displayedPrice: number;
+    priceCommitment: string;
+    // Signed by the API's attestation key; absent when the API has none configured
+    attestation?: {
+      expiry: number;
+      signature: string;
+    };
   };
 };
 
+type ListingBatchResponse = {
+  success: boolean;
+  count: number;
+  marketSearches: number;
+  listings: ListingResponse[];
+};
+
+type StoredListingResponse = {
+  success: boolean;
+  listing: {
+    zpid: number;
+    gameId: string | null;
+    address: string;
+    actualPrice: number;
+    displayedPrice: number;
+  };
+  contractData: {
+    listingId: string;
+    actualPrice: number;
+    salt: string;
+    priceCommitment: string;
+  };
+};
+
+// The API's /api/oracle routes serve actual prices, so they require the shared ORACLE_API_KEY workflow secret
+const oracleHeaders = (runtime: Runtime<Config>): Record<string, string> => {
+  const apiKey = runtime.getSecret({ id: "ORACLE_API_KEY" }).result().value;
+  return { Authorization: `Bearer ${apiKey}` };
+};
+
+// After an emergency shutdown the contract rejects initializeGame/settleBet, so don't send them
+const isGameShutdown = async (
+  runtime: Runtime<Config>,
+  evm: cre.capabilities.EVMCapability
+): Promise<boolean> => {
+  const call = await evm.read({
+    chainName: runtime.config.chainName,
+    to: runtime.config.zillopolyAddress,
+    data: encodeFunctionData({ abi: ZILLOPOLY_ABI, functionName: "isShutdown" }),
+  });
+
+  return decodeFunctionResult({ abi: ZILLOPOLY_ABI, functionName: "isShutdown", data: call.data as Hex });
+};
+
 const onBatchGamesCreated = async (
   runtime: Runtime<Config>,
   payload: cre.capabilities.EVMLogPayload
@@ -75,6 +255,8 @@ const onBatchGamesCreated = async (
     runtime.log(`Player: ${eventData.player}`);
     runtime.log(`Start Game ID: ${eventData.startGameId.toString()}`);
     runtime.log(`End Game ID: ${eventData.endGameId.toString()}`);
+    runtime.log(`Stake per game: ${eventData.stake.toString()}`);
+    runtime.log(`Mode: ${eventData.mode === GameMode.PriceEstimate ? "PriceEstimate" : "HigherLower"}`);
     runtime.log(`Timestamp: ${eventData.timestamp.toString()}`);
     runtime.log(`Block Number: ${payload.blockNumber}`);
     runtime.log(`Transaction Hash: ${payload.transactionHash}`);
@@ -85,44 +267,79 @@ const onBatchGamesCreated = async (
     const http = new cre.capabilities.HTTPCapability();
     const evm = new cre.capabilities.EVMCapability();
 
-    const results = [];
+    const results: GameResult[] = [];
+    const gameIds = Array.from({ length: numGames }, (_, i) => eventData.startGameId + BigInt(i));
 
-    for (let i = 0; i < numGames; i++) {
-      const currentGameId = eventData.startGameId + BigInt(i);
+    if (await isGameShutdown(runtime, evm)) {
+      runtime.log("Zillopoly is shut down, skipping initialization");
+      return JSON.stringify({
+        event: "BatchGamesCreated",
+        player: eventData.player,
+        startGameId: eventData.startGameId.toString(),
+        endGameId: eventData.endGameId.toString(),
+        totalGames: numGames,
+        results: gameIds.map((id) => ({ gameId: id.toString(), status: "skipped", error: "Game is shut down" })),
+        timestamp: new Date().toISOString(),
+      }, null, 2);
+    }
 
-      runtime.log(`Fetching listing ${i + 1}/${numGames} for game ID ${currentGameId}...`);
+    // Batches can be larger than the API serves per request, so fetch them in chunks
+    const headers = oracleHeaders(runtime);
+    const listings: (ListingResponse | undefined)[] = [];
+    for (let offset = 0; offset < numGames; offset += MAX_LISTINGS_PER_REQUEST) {
+      const chunk = gameIds.slice(offset, offset + MAX_LISTINGS_PER_REQUEST);
 
       const response = await http.fetch({
-        url: `${runtime.config.apiUrl}/api/random-listing`,
-        method: "GET",
-        headers: {},
+        url: `${runtime.config.apiUrl}/api/oracle/listings/batch`,
+        method: "POST",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify({ count: chunk.length, gameIds: chunk.map((id) => id.toString()) }),
       });
 
-      if (!response.ok || response.statusCode !== 200) {
-        runtime.log(`Failed to fetch listing ${i + 1}: ${response.statusCode}`);
-        results.push({ gameId: currentGameId.toString(), status: "failed", error: "API request failed" });
-        continue;
+      const batchData: ListingBatchResponse | undefined =
+        response.ok && response.statusCode === 200 ? JSON.parse(response.body) : undefined;
+
+      if (!batchData || !batchData.success) {
+        runtime.log(`Failed to fetch listings for games ${chunk[0]}-${chunk[chunk.length - 1]}: ${response.statusCode}`);
+        listings.push(...chunk.map(() => undefined));
+      } else {
+        runtime.log(`Got ${batchData.listings.length} listings from ${batchData.marketSearches} market searches`);
+        listings.push(...batchData.listings);
       }
+    }
 
-      const listingData: ListingResponse = JSON.parse(response.body);
+    for (let i = 0; i < numGames; i++) {
+      const currentGameId = gameIds[i];
+      const listingData = listings[i];
 
-      if (!listingData.success) {
-        runtime.log(`Failed to get listing ${i + 1}: ${listingData}`);
-        results.push({ gameId: currentGameId.toString(), status: "failed", error: "No listing data" });
+      if (!listingData || !listingData.success) {
+        runtime.log(`No listing for game ID ${currentGameId}`);
+        results.push({ gameId: currentGameId.toString(), status: "failed", error: "API request failed" });
         continue;
       }
 
-      runtime.log(`Got listing from ${listingData.city}: $${listingData.contractData.displayedPrice}`);
+      runtime.log(`Got listing from ${listingData.city ?? "an unknown market"}: $${listingData.contractData.displayedPrice}`);
 
-      const calldata = encodeFunctionData({
-        abi: ZILLOPOLY_ABI,
-        functionName: "initializeGame",
-        args: [
-          currentGameId,
-          listingData.contractData.listingId as Hex,
-          BigInt(listingData.contractData.displayedPrice),
-        ],
-      });
+      // Relay the API's signed attestation when there is one, so the contract checks the listing itself
+      const { listingId, displayedPrice, priceCommitment, attestation } = listingData.contractData;
+      const calldata = attestation
+        ? encodeFunctionData({
+            abi: ZILLOPOLY_ABI,
+            functionName: "initializeGameWithAttestation",
+            args: [
+              currentGameId,
+              listingId as Hex,
+              BigInt(displayedPrice),
+              priceCommitment as Hex,
+              BigInt(attestation.expiry),
+              attestation.signature as Hex,
+            ],
+          })
+        : encodeFunctionData({
+            abi: ZILLOPOLY_ABI,
+            functionName: "initializeGame",
+            args: [currentGameId, listingId as Hex, BigInt(displayedPrice), priceCommitment as Hex],
+          });
 
       runtime.log(`Initializing game ${currentGameId} with listing ${listingData.listing.zpid}...`);
 
@@ -149,6 +366,8 @@ const onBatchGamesCreated = async (
       player: eventData.player,
       startGameId: eventData.startGameId.toString(),
       endGameId: eventData.endGameId.toString(),
+      stake: eventData.stake.toString(),
+      mode: eventData.mode,
       totalGames: numGames,
       results,
       timestamp: new Date().toISOString(),
@@ -161,6 +380,157 @@ const onBatchGamesCreated = async (
   }
 };
 
+const onGuessMade = async (
+  runtime: Runtime<Config>,
+  payload: cre.capabilities.EVMLogPayload
+): Promise<string> => {
+  runtime.log("=== Guess Made Event Detected ===");
+
+  try {
+    const decodedLog = decodeEventLog({
+      abi: ZILLOPOLY_ABI,
+      data: payload.data as Hex,
+      topics: payload.topics as [Hex, ...Hex[]],
+    });
+
+    const eventData = decodedLog.args as GuessMadeEvent;
+
+    runtime.log(`Player: ${eventData.player}`);
+    runtime.log(`Game ID: ${eventData.gameId.toString()}`);
+    runtime.log(
+      eventData.mode === GameMode.PriceEstimate
+        ? `Guess: $${eventData.priceGuess}`
+        : `Guess: ${eventData.higherOrLower ? "Higher" : "Lower"}`
+    );
+    runtime.log(`Block Number: ${payload.blockNumber}`);
+    runtime.log(`Transaction Hash: ${payload.transactionHash}`);
+
+    const http = new cre.capabilities.HTTPCapability();
+    const evm = new cre.capabilities.EVMCapability();
+
+    const results: GameResult[] = [];
+
+    if (await isGameShutdown(runtime, evm)) {
+      runtime.log(`Zillopoly is shut down, skipping settlement of game ${eventData.gameId}`);
+      results.push({ gameId: eventData.gameId.toString(), status: "skipped", error: "Game is shut down" });
+    } else {
+      const gameCall = await evm.read({
+        chainName: runtime.config.chainName,
+        to: runtime.config.zillopolyAddress,
+        data: encodeFunctionData({ abi: ZILLOPOLY_ABI, functionName: "getGame", args: [eventData.gameId] }),
+      });
+
+      const guessedGame = decodeFunctionResult({
+        abi: ZILLOPOLY_ABI,
+        functionName: "getGame",
+        data: gameCall.data as Hex,
+      });
+
+      // makeGuesses emits one GuessMade per game and each one triggers this handler, so settle the player's
+      // other pending recent games in the same settleBets call; later triggers find them settled and skip them
+      const pageCall = await evm.read({
+        chainName: runtime.config.chainName,
+        to: runtime.config.zillopolyAddress,
+        data: encodeFunctionData({
+          abi: ZILLOPOLY_ABI,
+          functionName: "getPlayerListingsPage",
+          args: [eventData.player as Hex, 0n, BigInt(SETTLEMENT_SCAN_LIMIT), true],
+        }),
+      });
+
+      const [recentGames] = decodeFunctionResult({
+        abi: ZILLOPOLY_ABI,
+        functionName: "getPlayerListingsPage",
+        data: pageCall.data as Hex,
+      });
+
+      // The guessed game may be older than the scanned page, so it is always settled itself
+      const pendingGames = [guessedGame, ...recentGames.filter((game) => game.gameId !== eventData.gameId)]
+        .filter((game) => game.stage === GameStage.GuessSubmitted);
+      if (guessedGame.stage !== GameStage.GuessSubmitted) {
+        runtime.log(`Game ${eventData.gameId} is not awaiting settlement, skipping`);
+        results.push({ gameId: eventData.gameId.toString(), status: "skipped", error: "Game not ready for settlement" });
+      }
+
+      const gameIds: bigint[] = [];
+      const actualPrices: bigint[] = [];
+      const salts: Hex[] = [];
+      const settlements: GameResult[] = [];
+      const headers = oracleHeaders(runtime);
+
+      for (const game of pendingGames) {
+        runtime.log(`Fetching stored actual price for game ${game.gameId} (listing ${game.listingId})...`);
+
+        const response = await http.fetch({
+          url: `${runtime.config.apiUrl}/api/oracle/listings/${game.listingId}?gameId=${game.gameId}`,
+          method: "GET",
+          headers,
+        });
+
+        const storedListing: StoredListingResponse | undefined =
+          response.ok && response.statusCode === 200 ? JSON.parse(response.body) : undefined;
+
+        if (!storedListing || !storedListing.success) {
+          runtime.log(`Failed to fetch actual price for game ${game.gameId}: ${response.statusCode}`);
+          results.push({ gameId: game.gameId.toString(), status: "failed", error: "API request failed" });
+          continue;
+        }
+
+        const actualPrice = storedListing.contractData.actualPrice;
+        runtime.log(`Game ${game.gameId}: Displayed $${game.displayedPrice} / Actual $${actualPrice}`);
+
+        gameIds.push(game.gameId);
+        actualPrices.push(BigInt(actualPrice));
+        salts.push(storedListing.contractData.salt as Hex);
+        settlements.push({
+          gameId: game.gameId.toString(),
+          status: "success",
+          listingId: storedListing.listing.zpid,
+          displayedPrice: game.displayedPrice.toString(),
+          actualPrice,
+          mode: game.mode,
+          higherOrLower: game.higherOrLower,
+          priceGuess: game.priceGuess.toString(),
+        });
+      }
+
+      if (gameIds.length > 0) {
+        runtime.log(`Settling ${gameIds.length} games...`);
+
+        const txResponse = await evm.write({
+          chainName: runtime.config.chainName,
+          to: runtime.config.zillopolyAddress,
+          data: encodeFunctionData({
+            abi: ZILLOPOLY_ABI,
+            functionName: "settleBets",
+            args: [gameIds, actualPrices, salts],
+          }),
+        });
+
+        runtime.log(`Games ${gameIds.join(", ")} settled. Tx: ${txResponse.transactionHash}`);
+
+        for (const settlement of settlements) {
+          results.push({ ...settlement, txHash: txResponse.transactionHash });
+        }
+      }
+    }
+
+    const summary = {
+      event: "GuessMade",
+      player: eventData.player,
+      gameId: eventData.gameId.toString(),
+      totalGames: results.length,
+      results,
+      timestamp: new Date().toISOString(),
+    };
+
+    return JSON.stringify(summary, null, 2);
+  } catch (error) {
+    runtime.log(`Error settling game: ${error}`);
+    return JSON.stringify({ error: String(error) });
+  }
+};
+
 const initWorkflow = (config: Config) => {
   const evm = new cre.capabilities.EVMCapability();
 
@@ -170,11 +540,21 @@ const initWorkflow = (config: Config) => {
         chainName: config.chainName,
         addresses: [config.zillopolyAddress],
         topics: {
-          0: [keccak256(toHex("BatchGamesCreated(address,uint256,uint256,uint256)"))],
+          0: [keccak256(toHex("BatchGamesCreated(address,uint256,uint256,uint256,uint8,uint256)"))],
         }
       }),
       onBatchGamesCreated
     ),
+    cre.handler(
+      evm.logTrigger({
+        chainName: config.chainName,
+        addresses: [config.zillopolyAddress],
+        topics: {
+          0: [keccak256(toHex("GuessMade(uint256,address,uint8,bool,uint256)"))],
+        }
+      }),
+      onGuessMade
+    ),
   ];
 };
 